@@ -0,0 +1,178 @@
+'use strict';
+
+// The title of the page without a badge
+const APP_TITLE = document.title;
+
+// The unread count is kept in the local storage under this key, as the app badge outlives the page
+const UNREAD_COUNT_KEY = 'unread-count';
+
+/**
+ * Returns the unread count kept from the last visit.
+ */
+function loadUnreadCount() {
+  try {
+    return Number(localStorage.getItem(UNREAD_COUNT_KEY)) || 0;
+  } catch (error) {
+    console.log('Unread count failed to load:', error);
+    return 0;
+  }
+}
+
+/**
+ * Persists the unread count.
+ */
+function saveUnreadCount(count) {
+  try {
+    localStorage.setItem(UNREAD_COUNT_KEY, count);
+  } catch (error) {
+    console.log('Unread count failed to save:', error);
+  }
+}
+
+/**
+ * The unread counter shared by the demos, shown as the badge:
+ *  - count: the unread notifications
+ *  - listeners: called with the count whenever it changes
+ */
+const unreadCounter = {
+  count: loadUnreadCount(),
+  listeners: []
+};
+
+/**
+ * Tells how the badge is shown: the Badging API on the app icon
+ * ('app'), its earlier document flavour ('client'), or else the
+ * favicon and the title of the page ('fallback').
+ */
+function badgeMethod() {
+  if ('setAppBadge' in navigator) {
+    return 'app';
+  }
+  if ('setClientBadge' in navigator) {
+    return 'client';
+  }
+  return 'fallback';
+}
+
+// Counts the fallback badges drawn, so a favicon loading late doesn't override a newer badge
+let fallbackBadgeDrawings = 0;
+
+/**
+ * Draws the badge over the favicon and prefixes the title with it,
+ * for the browsers without the Badging API. 0 restores them.
+ */
+function setFallbackBadge(value) {
+  const link = document.querySelector('link[rel="icon"]');
+  if (!link.dataset.href) {
+    link.dataset.href = link.href;
+  }
+  const drawing = ++fallbackBadgeDrawings;
+
+  if (value === 0) {
+    link.href = link.dataset.href;
+    document.title = APP_TITLE;
+    return Promise.resolve();
+  }
+  document.title = `(${value === null ? '•' : value}) ${APP_TITLE}`;
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.addEventListener('load', () => {
+      if (drawing !== fallbackBadgeDrawings) {
+        resolve();
+        return;
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0, 64, 64);
+
+      // A red dot, with the count when there's one
+      context.fillStyle = '#D9534F';
+      context.beginPath();
+      context.arc(44, 20, 20, 0, 2 * Math.PI);
+      context.fill();
+      if (value !== null) {
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 22px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(value > 99 ? '99+' : String(value), 44, 21);
+      }
+
+      link.href = canvas.toDataURL('image/png');
+      resolve();
+    });
+    image.addEventListener('error', () => reject(new Error('The favicon failed to load.')));
+    image.src = link.dataset.href;
+  });
+}
+
+/**
+ * Sets the badge to a count, or to a flag without a count when the
+ * value is null. A count of 0 clears the badge.
+ * Resolves with the method used, rejects when the browser refuses.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/setAppBadge
+ */
+function setBadge(value) {
+  const method = badgeMethod();
+  const args = value === null ? [] : [value];
+
+  let promise;
+  switch (method) {
+    case 'app':
+      promise = value === 0 ? navigator.clearAppBadge() : navigator.setAppBadge(...args);
+      break;
+    case 'client':
+      promise = value === 0 ? navigator.clearClientBadge() : navigator.setClientBadge(...args);
+      break;
+    default:
+      promise = setFallbackBadge(value);
+  }
+
+  return Promise.resolve(promise).then(() => method);
+}
+
+/**
+ * Sets the unread count, persists it and shows it as the badge.
+ */
+function setUnreadCount(count) {
+  unreadCounter.count = count;
+  saveUnreadCount(count);
+
+  setBadge(count).catch((error) => {
+    console.log('Badge failed to show the unread count:', error);
+  });
+  for (const listener of unreadCounter.listeners) {
+    listener(count);
+  }
+}
+
+/**
+ * Counts more unread notifications, e.g. when a demo notifies the user.
+ */
+function incrementUnread(amount = 1) {
+  setUnreadCount(unreadCounter.count + amount);
+}
+
+/**
+ * Calls the listener whenever the unread count changes.
+ * Returns the function removing the listener.
+ */
+function onUnreadChange(listener) {
+  unreadCounter.listeners.push(listener);
+  return () => {
+    unreadCounter.listeners = unreadCounter.listeners.filter((other) => other !== listener);
+  };
+}
+
+/**
+ * Shows the unread count kept from the last visit.
+ */
+function restoreUnreadBadge() {
+  if (unreadCounter.count > 0) {
+    setUnreadCount(unreadCounter.count);
+  }
+}
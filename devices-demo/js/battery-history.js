@@ -0,0 +1,167 @@
+'use strict';
+
+// The battery history is kept in the local storage under this key
+const BATTERY_HISTORY_KEY = 'battery-history';
+
+// Keeps this many entries in the history, dropping the oldest ones
+const BATTERY_HISTORY_MAX_ENTRIES = 1000;
+
+// Entries shown in the page, the newest first
+const BATTERY_HISTORY_SHOWN_ENTRIES = 20;
+
+// Stands for the Infinity times in the storage, as JSON would turn them into null
+const BATTERY_TIME_INFINITY = 'Infinity';
+
+/**
+ * Returns the battery history persisted by the previous visits.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage
+ */
+function loadBatteryHistory() {
+  try {
+    const history = JSON.parse(localStorage.getItem(BATTERY_HISTORY_KEY), (key, value) => {
+      return value === BATTERY_TIME_INFINITY ? Infinity : value;
+    });
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    console.log('Battery history failed to load:', error);
+    return [];
+  }
+}
+
+/**
+ * Persists the battery history.
+ */
+function saveBatteryHistory(history) {
+  try {
+    localStorage.setItem(BATTERY_HISTORY_KEY, JSON.stringify(history, (key, value) => {
+      return value === Infinity ? BATTERY_TIME_INFINITY : value;
+    }));
+  } catch (error) {
+    console.log('Battery history failed to save:', error);
+  }
+}
+
+/**
+ * Formats a charging or discharging time given in seconds as h:mm.
+ * The BatteryManager reports Infinity when the time is unknown.
+ */
+function formatBatteryTime(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return 'unknown';
+  }
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  return `${hours}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Estimates how fast the level changes, in % per hour, from the latest
+ * entries sharing the current charging state: positive while charging,
+ * negative while discharging. Returns null until the level has changed.
+ */
+function batteryRate(history) {
+  if (history.length < 2) {
+    return null;
+  }
+
+  const last = history[history.length - 1];
+  let first = last;
+  for (let index = history.length - 2; index >= 0 && history[index].charging === last.charging; index--) {
+    first = history[index];
+  }
+
+  const hours = (last.timestamp - first.timestamp) / 3600000;
+  if (hours <= 0 || first.level === last.level) {
+    return null;
+  }
+  return (last.level - first.level) * 100 / hours;
+}
+
+/**
+ * Creates the battery history: the drain or charge rate, a chart of the
+ * level over the session and the latest entries. Every event recorded
+ * is persisted, so the rate builds up across visits.
+ * Returns the recorder of the BatteryManager events.
+ */
+function mountBatteryHistory() {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const rate = document.createElement('div');
+  container.appendChild(rate);
+
+  const chart = createTimeSeriesChart({ label: 'Battery level', unit: '%', windowSeconds: 60 });
+  container.appendChild(chart.canvas);
+
+  const buttonClearHistory = document.createElement('button');
+  buttonClearHistory.innerText = 'Clear History';
+  container.appendChild(buttonClearHistory);
+
+  const list = document.createElement('ul');
+  container.appendChild(list);
+
+  let history = loadBatteryHistory();
+  const sessionStart = Date.now();
+
+  // Helper function to write the rate and the latest entries
+  function writeHistory() {
+    const value = batteryRate(history);
+    if (value === null) {
+      rate.innerText = 'Rate: waiting for the level to change.';
+    }
+    else {
+      rate.innerHTML = `${value > 0 ? 'Charge' : 'Drain'} rate: <b>${Math.abs(value).toFixed(1)}</b> %/hour.`;
+    }
+
+    list.innerHTML = history
+      .slice(-BATTERY_HISTORY_SHOWN_ENTRIES)
+      .reverse()
+      .map((entry) => `
+        <li>
+          ${new Date(entry.timestamp).toLocaleString()}, ${entry.event}:
+          <b>${(entry.level * 100).toFixed(0)}%</b>,
+          ${entry.charging ? `charging, full in ${formatBatteryTime(entry.chargingTime)}` : `discharging, empty in ${formatBatteryTime(entry.dischargingTime)}`}
+        </li>
+      `)
+      .join('');
+  }
+  writeHistory();
+
+  buttonClearHistory.addEventListener('click', () => {
+    history = [];
+    saveBatteryHistory(history);
+    writeHistory();
+  });
+
+  return {
+
+    // Adds an entry for an event of the BatteryManager
+    record(battery, eventName) {
+      const timestamp = Date.now();
+      history.push({
+        timestamp,
+        event: eventName,
+        level: battery.level,
+        charging: battery.charging,
+        chargingTime: battery.chargingTime,
+        dischargingTime: battery.dischargingTime
+      });
+      if (history.length > BATTERY_HISTORY_MAX_ENTRIES) {
+        history = history.slice(-BATTERY_HISTORY_MAX_ENTRIES);
+      }
+      saveBatteryHistory(history);
+
+      // The chart spans the whole session
+      chart.setWindow(Math.max(60, (timestamp - sessionStart) / 1000));
+      chart.push(timestamp, battery.level * 100);
+      writeHistory();
+    },
+
+    dispose() {
+      chart.dispose();
+    }
+  };
+}
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Formats a chart value with up to two decimals.
+ */
+function formatChartValue(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Creates a rolling time-series chart drawn on a canvas.
+ * The chart keeps the points of the last `windowSeconds`, scales itself
+ * to their range and overlays their min, max and mean.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Canvas_API
+ */
+function createTimeSeriesChart({ label, unit = '', color = '#80CE17', windowSeconds = 10 }) {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'chart';
+  const context = canvas.getContext('2d');
+
+  let points = [];
+  let paused = false;
+  let frame = null;
+
+  // Drops the points which left the window
+  function trim() {
+    if (points.length === 0) {
+      return;
+    }
+    const start = points[points.length - 1].timestamp - windowSeconds * 1000;
+    const firstVisible = points.findIndex((point) => point.timestamp >= start);
+    points = points.slice(firstVisible);
+  }
+
+  // Draws once per animation frame, however many points were pushed
+  function requestDraw() {
+    if (frame === null) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        draw();
+      });
+    }
+  }
+
+  function draw() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 300;
+    const height = canvas.clientHeight || 120;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+    }
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.font = '12px sans-serif';
+    context.textBaseline = 'top';
+
+    if (points.length === 0) {
+      context.fillStyle = '#64646E';
+      context.fillText(`${label}: no data`, 5, 5);
+      return;
+    }
+
+    // Statistics of the visible points
+    const values = points.map((point) => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    // Autoscale, keeping a margin above and below
+    let low = min;
+    let high = max;
+    if (high - low < 1e-9) {
+      low -= 1;
+      high += 1;
+    }
+    const margin = (high - low) * 0.1;
+    low -= margin;
+    high += margin;
+
+    const end = points[points.length - 1].timestamp;
+    const start = end - windowSeconds * 1000;
+    const toX = (timestamp) => (timestamp - start) / (windowSeconds * 1000) * width;
+    const toY = (value) => height - (value - low) / (high - low) * height;
+
+    // Horizontal guide lines: zero, min, max and mean
+    function drawGuide(value, style, dash) {
+      context.strokeStyle = style;
+      context.setLineDash(dash);
+      context.beginPath();
+      context.moveTo(0, toY(value));
+      context.lineTo(width, toY(value));
+      context.stroke();
+    }
+    context.lineWidth = 1;
+    if (low < 0 && high > 0) {
+      drawGuide(0, '#c8c8cc', []);
+    }
+    drawGuide(min, '#9a9aa3', [4, 4]);
+    drawGuide(max, '#9a9aa3', [4, 4]);
+    drawGuide(mean, '#64646E', [2, 2]);
+    context.setLineDash([]);
+
+    // The series itself
+    context.strokeStyle = color;
+    context.lineWidth = 2;
+    context.beginPath();
+    points.forEach((point, index) => {
+      if (index === 0) {
+        context.moveTo(toX(point.timestamp), toY(point.value));
+      }
+      else {
+        context.lineTo(toX(point.timestamp), toY(point.value));
+      }
+    });
+    context.stroke();
+
+    // Overlay
+    const suffix = unit ? ` ${unit}` : '';
+    context.fillStyle = '#333';
+    context.fillText(
+      `${label}  min ${formatChartValue(min)}  max ${formatChartValue(max)}  mean ${formatChartValue(mean)}${suffix}`,
+      5, 5
+    );
+    if (paused) {
+      context.textAlign = 'right';
+      context.fillText('Paused', width - 5, 5);
+      context.textAlign = 'left';
+    }
+  }
+
+  draw(); // Draw the empty chart
+
+  return {
+    canvas,
+
+    // Adds a point, unless the chart is paused
+    push(timestamp, value) {
+      if (paused) {
+        return;
+      }
+      points.push({ timestamp, value });
+      trim();
+      requestDraw();
+    },
+
+    setWindow(seconds) {
+      windowSeconds = seconds;
+      trim();
+      requestDraw();
+    },
+
+    setPaused(value) {
+      paused = value;
+      requestDraw();
+    },
+
+    clear() {
+      points = [];
+      requestDraw();
+    },
+
+    dispose() {
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+        frame = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,138 @@
+'use strict';
+
+// Permissions queried by the device report, and offered by the permissions demo
+const PERMISSION_NAMES = ["geolocation", "notifications", "push", "midi", "camera", "microphone", "background-fetch", "background-sync", "persistent-storage", "ambient-light-sensor", "accelerometer", "gyroscope", "magnetometer", "screen-wake-lock", "nfc", "display-capture", "accessibility-events", "clipboard-read", "clipboard-write", "payment-handler", "idle-detection", "periodic-background-sync", "system-wake-lock", "storage-access", "window-placement", "local-fonts"];
+
+/**
+ * Returns the state of a permission, or 'unsupported' when the
+ * browser can't query it.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Permissions/query
+ */
+function queryPermissionState(name) {
+  if (!('permissions' in navigator)) {
+    return Promise.resolve('unsupported');
+  }
+
+  return navigator.permissions.query({
+    name,
+    userVisibleOnly: true // Only necessary for the Push API
+  })
+    .then((status) => status.state)
+    .catch(() => 'unsupported');
+}
+
+/**
+ * Runs the support check of every API in the feature registry and
+ * queries every permission of the permissions demo, and those involved
+ * by the APIs. Resolves with one entry per API, and the state of each
+ * permission.
+ */
+async function scanCapabilities() {
+  const apis = FEATURES.filter(({ check }) => check);
+  const permissionNames = [...new Set([...PERMISSION_NAMES, ...apis.flatMap(({ permissions }) => permissions)])];
+  const states = await Promise.all(permissionNames.map(queryPermissionState));
+  const permissionStates = Object.fromEntries(permissionNames.map((name, index) => [name, states[index]]));
+
+  const capabilities = apis.map(({ id, label, check, fallback = false, permissions }) => {
+    let supported;
+    try {
+      supported = Boolean(check());
+    } catch (error) {
+      supported = false;
+    }
+
+    return {
+      id,
+      label,
+      supported,
+      fallback,
+      permissions: Object.fromEntries(permissions.map((name) => [name, permissionStates[name]]))
+    };
+  });
+
+  return { capabilities, permissions: permissionStates };
+}
+
+/**
+ * Scans every API demonstrated by the app and renders the support
+ * matrix with the state of each permission, which can be exported
+ * as JSON for the device inventory.
+ */
+function handleDeviceReport() {
+  let disposed = false;
+
+  output.innerText = 'Scanning the device...';
+
+  scanCapabilities()
+    .then(({ capabilities, permissions }) => {
+      if (disposed) {
+        return;
+      }
+
+      const report = {
+        generatedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        screen: {
+          width: screen.width,
+          height: screen.height,
+          devicePixelRatio: window.devicePixelRatio
+        },
+        capabilities,
+        permissions
+      };
+      console.log('Device report:', report);
+
+      const permissionRows = Object.entries(permissions).map(([name, state]) => `
+        <tr>
+          <td>${name}</td>
+          <td>${state}</td>
+        </tr>
+      `);
+
+      const supportedCount = capabilities.filter(({ supported }) => supported).length;
+      const rows = capabilities.map(({ label, supported, fallback, permissions }) => {
+        const permissionStates = Object.entries(permissions)
+          .map(([name, state]) => `${name}: <b>${state}</b>`)
+          .join('<br>');
+
+        return `
+          <tr>
+            <td>${label}</td>
+            <td class="${supported ? 'supported' : 'unsupported'}">${supported ? 'Yes' : (fallback ? 'No, with a fallback' : 'No')}</td>
+            <td>${permissionStates || '-'}</td>
+          </tr>
+        `;
+      });
+
+      output.innerHTML = `
+        <div><b>${supportedCount}</b> of ${capabilities.length} APIs supported on this device.</div>
+        <table class="report">
+          <tr><th>API</th><th>Supported</th><th>Permissions</th></tr>
+          ${rows.join('')}
+        </table>
+        <table class="report">
+          <tr><th>Permission</th><th>State</th></tr>
+          ${permissionRows.join('')}
+        </table>
+      `;
+
+      // Create the helper elements
+      const buttonExport = document.createElement('button');
+      buttonExport.innerText = 'Export JSON';
+      output.prepend(buttonExport);
+
+      buttonExport.addEventListener('click', () => {
+        downloadFile(`device-report-${fileTimestamp()}.json`, 'application/json', JSON.stringify(report, null, 2));
+      });
+    })
+    .catch((error) => {
+      if (!disposed) {
+        output.innerText = 'It was not possible to scan the device: ' + error;
+      }
+    });
+
+  // Disposer: drops a scan still running
+  return () => {
+    disposed = true;
+  };
+}
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * The groups of the feature selector, in order, with the first segment
+ * of their routes.
+ */
+const FEATURE_GROUPS = [
+  { id: 'reports', label: 'Reports' },
+  { id: 'device', label: 'Device APIs' },
+  { id: 'permissions', label: 'Permissions API' },
+  { id: 'sensors', label: 'Sensor APIs' }
+];
+
+/**
+ * Describes every feature of the app. The feature selector and the
+ * dispatch of the routes are generated from it, so adding a feature
+ * only takes a new entry:
+ *  - id: the selector value, and the last segment of the route
+ *  - group: the id of its group in FEATURE_GROUPS
+ *  - label: the text of the selector option
+ *  - check: tells whether the browser supports it, if it's an API
+ *  - fallback: true when it works without the API too, in a degraded way
+ *  - permissions: the names of the permissions it depends on
+ *  - mount(params): shows it from the route parameters, returns its disposer
+ */
+const FEATURES = [
+  {
+    id: 'device-report',
+    group: 'reports',
+    label: 'Device report',
+    mount: () => handleDeviceReport()
+  },
+  {
+    id: 'battery',
+    group: 'device',
+    label: 'Battery Status API',
+    check: () => 'getBattery' in navigator,
+    permissions: [],
+    mount: () => handleBatteryStatusAPI()
+  },
+  {
+    id: 'network-info',
+    group: 'device',
+    label: 'Network Information',
+    check: () => 'connection' in navigator,
+    permissions: [],
+    mount: () => handleNetworkInformation()
+  },
+  {
+    id: 'fullscreen',
+    group: 'device',
+    label: 'Fullscreen API',
+    check: () => 'fullscreenElement' in document && 'exitFullscreen' in document && document.fullscreenEnabled,
+    permissions: [],
+    mount: () => handleFullscreenAPI()
+  },
+  {
+    id: 'screen-orientation',
+    group: 'device',
+    label: 'Screen Orientation API',
+    check: () => 'orientation' in screen,
+    permissions: [],
+    mount: () => handleScreenOrientationAPI()
+  },
+  {
+    id: 'vibration',
+    group: 'device',
+    label: 'Vibration API',
+    check: () => 'vibrate' in navigator,
+    fallback: true,
+    permissions: [],
+    mount: () => handleVibrationAPI()
+  },
+  {
+    id: 'badging',
+    group: 'device',
+    label: 'Badging API',
+    check: () => 'setAppBadge' in navigator || 'setClientBadge' in navigator,
+    fallback: true,
+    permissions: [],
+    mount: () => handleBadgingAPI()
+  },
+  {
+    id: 'page-visibility',
+    group: 'device',
+    label: 'Page Visibility',
+    check: () => 'visibilityState' in document,
+    permissions: ['notifications'],
+    mount: () => handlePageVisibility()
+  },
+  {
+    id: 'idle-detection',
+    group: 'device',
+    label: 'Idle Detection API',
+    check: () => 'IdleDetector' in window,
+    permissions: ['idle-detection'],
+    mount: () => handleIdleDetectionAPI()
+  },
+  {
+    id: 'screen-wake-lock',
+    group: 'device',
+    label: 'Screen Wake Lock API',
+    check: () => 'wakeLock' in navigator,
+    permissions: ['screen-wake-lock'],
+    mount: () => handleScreenWakeLockAPI()
+  },
+  {
+    id: 'geolocation',
+    group: 'device',
+    label: 'Geolocation API',
+    check: () => 'geolocation' in navigator,
+    permissions: ['geolocation'],
+    mount: (params) => handleGeolocationAPI(params)
+  },
+  {
+    id: 'permissions',
+    group: 'permissions',
+    label: 'Permissions',
+    check: () => 'permissions' in navigator,
+    permissions: [],
+    mount: () => handlePermissionsAPI()
+  },
+  ...Object.entries(SENSOR_DESCRIPTORS).map(([id, descriptor]) => ({
+    id,
+    group: 'sensors',
+    label: descriptor.constructorName,
+    check: () => descriptor.constructorName in window,
+    permissions: descriptor.permissions,
+    mount: (params) => handleSensor(id, params)
+  }))
+];
+
+/**
+ * Returns the feature with the given id, or undefined.
+ */
+function findFeature(featureId) {
+  return FEATURES.find(({ id }) => id === featureId);
+}
+
+/**
+ * Fills the feature selector with an option per feature, by group.
+ */
+function renderFeatureSelector() {
+  for (const group of FEATURE_GROUPS) {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.label;
+
+    for (const feature of FEATURES.filter((feature) => feature.group === group.id)) {
+      const option = document.createElement('option');
+      option.value = feature.id;
+      option.text = feature.label;
+      optgroup.appendChild(option);
+    }
+    featureSelector.appendChild(optgroup);
+  }
+}
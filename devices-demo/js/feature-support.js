@@ -0,0 +1,130 @@
+'use strict';
+
+// Markers prefixed to the feature selector options, by support
+const SUPPORT_MARKERS = {
+  'supported': { marker: '✓', title: 'Supported by this browser' },
+  'needs-permission': { marker: '⚿', title: 'Supported, but needs a permission' },
+  'fallback': { marker: '~', title: 'Not supported by this browser, shown with a fallback' },
+  'unsupported': { marker: '✗', title: 'Not supported by this browser' }
+};
+
+// Remembers the "Hide unsupported" toggle between visits
+const HIDE_UNSUPPORTED_KEY = 'hide-unsupported';
+
+/**
+ * Tells the support of a scanned capability: 'unsupported', or
+ * 'fallback' when its demo works without the API anyway,
+ * 'needs-permission' when one of its permissions isn't granted yet,
+ * or 'supported'. Permissions the browser can't query are ignored.
+ */
+function capabilitySupport({ supported, fallback, permissions }) {
+  if (!supported) {
+    return fallback ? 'fallback' : 'unsupported';
+  }
+
+  const states = Object.values(permissions).filter((state) => state !== 'unsupported');
+  return combinePermissionStates(states) === 'granted' ? 'supported' : 'needs-permission';
+}
+
+/**
+ * Prefixes each option of the feature selector with its support marker.
+ */
+async function annotateFeatureSelector() {
+  const { capabilities } = await scanCapabilities();
+
+  for (const capability of capabilities) {
+    const option = featureSelector.querySelector(`option[value="${capability.id}"]`);
+    if (!option) {
+      continue;
+    }
+
+    const support = capabilitySupport(capability);
+    option.dataset.support = support;
+    option.text = `${SUPPORT_MARKERS[support].marker} ${capability.label}`;
+    option.title = SUPPORT_MARKERS[support].title;
+  }
+
+  applyHideUnsupported();
+}
+
+/**
+ * Hides the unsupported options when the toggle is checked, and the
+ * groups left empty. The selected option always stays visible.
+ */
+function applyHideUnsupported() {
+  const hide = document.getElementById('hide-unsupported').checked;
+
+  for (const group of featureSelector.querySelectorAll('optgroup')) {
+    let visible = 0;
+    for (const option of group.querySelectorAll('option')) {
+      option.hidden = hide && option.dataset.support === 'unsupported' && !option.selected;
+      visible += option.hidden ? 0 : 1;
+    }
+    group.hidden = visible === 0;
+  }
+}
+
+/**
+ * Returns whether the user chose to hide the unsupported features.
+ */
+function loadHideUnsupported() {
+  try {
+    return localStorage.getItem(HIDE_UNSUPPORTED_KEY) === 'true';
+  } catch (error) {
+    console.log('Hide unsupported failed to load:', error);
+    return false;
+  }
+}
+
+/**
+ * Persists the choice to hide the unsupported features.
+ */
+function saveHideUnsupported(hide) {
+  try {
+    localStorage.setItem(HIDE_UNSUPPORTED_KEY, hide);
+  } catch (error) {
+    console.log('Hide unsupported failed to save:', error);
+  }
+}
+
+/**
+ * Annotates the feature selector at startup and keeps it up to date:
+ * permissions change while using the features, or in the site
+ * settings while the page is in the background. Changing the route
+ * only hides the unsupported options again, without a new scan.
+ */
+function watchFeatureSupport() {
+  const toggle = document.getElementById('hide-unsupported');
+
+  toggle.checked = loadHideUnsupported();
+  toggle.addEventListener('change', () => {
+    saveHideUnsupported(toggle.checked);
+    applyHideUnsupported();
+  });
+
+  function refresh() {
+    annotateFeatureSelector().catch((error) => {
+      console.log('Feature support failed to be detected:', error);
+    });
+  }
+
+  // The selected option always stays visible, the scan itself isn't needed
+  window.addEventListener('hashchange', applyHideUnsupported);
+
+  // A permission granted or revoked while using the features
+  if ('permissions' in navigator) {
+    const permissionNames = [...new Set(FEATURES.flatMap(({ permissions = [] }) => permissions))];
+    for (const name of permissionNames) {
+      navigator.permissions.query({ name })
+        .then((status) => status.addEventListener('change', refresh))
+        .catch(() => {}); // The browser can't query this permission
+    }
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      refresh();
+    }
+  });
+  refresh();
+}
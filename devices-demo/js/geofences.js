@@ -0,0 +1,158 @@
+'use strict';
+
+// Vibration patterns of the geofence events, in milliseconds
+const GEOFENCE_VIBRATIONS = {
+  enter: [200, 100, 200],
+  exit: [500]
+};
+
+/**
+ * Alerts about a geofence event with a vibration and, once the user
+ * allowed it, a notification shown by the service worker and counted
+ * as unread on the badge.
+ * https://developer.mozilla.org/en-US/docs/Web/API/ServiceWorkerRegistration/showNotification
+ */
+function alertGeofenceEvent(type, text) {
+  if ('vibrate' in navigator) {
+    navigator.vibrate(GEOFENCE_VIBRATIONS[type]);
+  }
+
+  if ('Notification' in window && Notification.permission === 'granted' && 'serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => {
+        return registration.showNotification('Geofence', {
+          body: text,
+          icon: '/images/logo.png'
+        });
+      })
+      .then(() => incrementUnread())
+      .catch((error) => {
+        console.log('Geofence Notification Error:', error);
+      });
+  }
+}
+
+/**
+ * Creates the geofences of a geolocation controller: circles given by
+ * their centre and radius, checked against every watched position.
+ * Entering or leaving one is logged in the page, and alerted.
+ */
+function mountGeofences(controller) {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const form = document.createElement('div');
+  form.innerHTML = `
+    <div>Geofences:</div>
+    <input type="text" placeholder="Name" size="10">
+    <input type="number" placeholder="Latitude" step="any" min="-90" max="90">
+    <input type="number" placeholder="Longitude" step="any" min="-180" max="180">
+    <input type="number" placeholder="Radius (m)" step="any" min="1">
+  `;
+  container.appendChild(form);
+  const [inputName, inputLatitude, inputLongitude, inputRadius] = form.querySelectorAll('input');
+
+  const buttonUsePosition = document.createElement('button');
+  buttonUsePosition.innerText = 'Use Last Position';
+  buttonUsePosition.disabled = true;
+  container.appendChild(buttonUsePosition);
+
+  const buttonAddGeofence = document.createElement('button');
+  buttonAddGeofence.innerText = 'Add Geofence';
+  container.appendChild(buttonAddGeofence);
+
+  const list = document.createElement('ul');
+  container.appendChild(list);
+
+  const log = document.createElement('ul');
+  container.appendChild(log);
+
+  let geofences = [];
+  let lastPosition = null;
+
+  // Helper function to write the geofences, each with its Remove button
+  function writeGeofences() {
+    list.innerHTML = '';
+    for (const geofence of geofences) {
+      const state = geofence.inside === null ? 'unknown' : (geofence.inside ? 'inside' : 'outside');
+      const item = document.createElement('li');
+
+      // The name is typed by the user: written as text, never as HTML
+      const name = document.createElement('b');
+      name.textContent = geofence.name;
+      item.append(name, `: ${formatDistance(geofence.radius)} around ${geofence.latitude}, ${geofence.longitude}, ${state}.`);
+
+      const buttonRemove = document.createElement('button');
+      buttonRemove.innerText = 'Remove';
+      buttonRemove.addEventListener('click', () => {
+        geofences = geofences.filter((other) => other !== geofence);
+        writeGeofences();
+      });
+      item.appendChild(buttonRemove);
+      list.appendChild(item);
+    }
+  }
+
+  // Helper function to add an entry to the log, the newest first
+  function writeLog(text) {
+    const item = document.createElement('li');
+    item.innerText = `${new Date().toLocaleTimeString()} ${text}`;
+    log.prepend(item);
+  }
+
+  buttonUsePosition.addEventListener('click', () => {
+    inputLatitude.value = lastPosition.coords.latitude;
+    inputLongitude.value = lastPosition.coords.longitude;
+  });
+
+  buttonAddGeofence.addEventListener('click', () => {
+    const latitude = Number(inputLatitude.value);
+    const longitude = Number(inputLongitude.value);
+    const radius = Number(inputRadius.value);
+    if (!inputLatitude.value || !inputLongitude.value || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || !(radius > 0)) {
+      writeLog('A geofence needs a latitude, a longitude and a positive radius.');
+      return;
+    }
+
+    geofences.push({
+      name: inputName.value || `Geofence ${geofences.length + 1}`,
+      latitude,
+      longitude,
+      radius,
+      inside: null
+    });
+    inputName.value = '';
+    writeGeofences();
+
+    // Ask for the notifications from a click, as browsers require
+    if ('Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+  });
+
+  // Checks the geofences against the watched positions
+  controller.positionListeners.push((position, watched) => {
+    lastPosition = position;
+    buttonUsePosition.disabled = false;
+    if (!watched) {
+      return;
+    }
+
+    for (const geofence of geofences) {
+      const distance = haversineDistance(geofence, position.coords);
+      const inside = distance <= geofence.radius;
+
+      // The first position only tells where the device starts, unless inside
+      if (inside !== geofence.inside && (geofence.inside !== null || inside)) {
+        const type = inside ? 'enter' : 'exit';
+        const text = `${inside ? 'Entered' : 'Left'} ${geofence.name}, ${formatDistance(distance)} from its centre.`;
+        writeLog(text);
+        alertGeofenceEvent(type, text);
+      }
+      geofence.inside = inside;
+    }
+    writeGeofences();
+  });
+}
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Allows the user to provide their location to web
+ * applications if they so desire.
+ * The route parameters set the PositionOptions.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation_API
+ */
+function handleGeolocationAPI(params) {
+  console.log('Navigator:', navigator);
+  if (!('geolocation' in navigator)) {
+    output.innerText = 'Geolocation API not available on this device.';
+    return;
+  }
+  console.log('Geolocation:', navigator.geolocation);
+
+  const controller = {
+    options: resolveGeolocationOptions(params),
+    watchId: null,
+    message: null,
+    positionListeners: [],
+    watchListeners: [],
+    cleanups: []
+  };
+
+  // Create the helper elements
+  const buttonCurrentPosition = document.createElement('button');
+  output.appendChild(buttonCurrentPosition);
+  buttonCurrentPosition.innerText = 'Current Position';
+
+  const buttonWatchPosition = document.createElement('button');
+  output.appendChild(buttonWatchPosition);
+  buttonWatchPosition.innerText = 'Watch Position';
+
+  mountGeolocationSettings(controller, (options) => {
+    controller.options = options;
+    restartWatchingPosition(controller);
+  });
+
+  controller.message = document.createElement('div');
+  output.appendChild(controller.message);
+
+  mountGeolocationTracker(controller);
+  mountGeolocationMap(controller);
+  mountGeofences(controller);
+
+  buttonCurrentPosition.addEventListener('click', () => {
+    requestCurrentPosition(controller);
+  });
+
+  // Watch Position, or stop watching it
+  buttonWatchPosition.addEventListener('click', () => {
+    if (controller.watchId === null) {
+      startWatchingPosition(controller);
+    }
+    else {
+      stopWatchingPosition(controller);
+    }
+  });
+  controller.watchListeners.push((watching) => {
+    buttonWatchPosition.innerText = watching ? 'Stop Watching' : 'Watch Position';
+  });
+
+  // Follow the power policy suspending the high accuracy, or lifting it
+  let suspended = powerPolicy.throttles.suspendHighAccuracy;
+  controller.cleanups.push(onPowerPolicyChange((throttles) => {
+    if (throttles.suspendHighAccuracy !== suspended) {
+      suspended = throttles.suspendHighAccuracy;
+      restartWatchingPosition(controller);
+    }
+  }));
+
+  // Disposer: stops watching the position
+  return () => {
+    stopWatchingPosition(controller);
+    for (const cleanup of controller.cleanups) {
+      cleanup();
+    }
+  };
+}
+
+/**
+ * Formats a coordinate which the device may not provide.
+ */
+function formatCoordinate(value, digits, unit) {
+  return value === null || Number.isNaN(value) ? 'unknown' : `<b>${value.toFixed(digits)}</b>${unit}`;
+}
+
+/**
+ * Writes a position and hands it to the listeners of the controller,
+ * telling whether it comes from watching the position.
+ * https://developer.mozilla.org/en-US/docs/Web/API/GeolocationCoordinates
+ */
+function showPosition(controller, position, watched) {
+  const { coords } = position;
+
+  controller.message.innerHTML = `
+    <strong>${watched ? 'Watching Position' : 'Current Position'}:</strong>
+    <ul>
+      <li>Latitude: <b>${coords.latitude}</b></li>
+      <li>Longitude: <b>${coords.longitude}</b></li>
+      <li>Accuracy: ${formatCoordinate(coords.accuracy, 0, ' m')}</li>
+      <li>Altitude: ${formatCoordinate(coords.altitude, 1, ' m')}</li>
+      <li>Altitude accuracy: ${formatCoordinate(coords.altitudeAccuracy, 0, ' m')}</li>
+      <li>Heading: ${formatCoordinate(coords.heading, 0, '&deg;')}</li>
+      <li>Speed: ${formatCoordinate(coords.speed, 2, ' m/s')}</li>
+      <li>Timestamp: <b>${new Date(position.timestamp).toLocaleString()}</b></li>
+    </ul>
+  `;
+
+  for (const listener of controller.positionListeners) {
+    listener(position, watched);
+  }
+}
+
+/**
+ * Explains why the position couldn't be obtained, and offers to retry.
+ * https://developer.mozilla.org/en-US/docs/Web/API/GeolocationPositionError/code
+ */
+function showPositionError(controller, error, retry) {
+  let text;
+  switch (error.code) {
+    case error.PERMISSION_DENIED:
+      text = 'You are not authorized to use your location. Allow it in the site settings of your browser, then retry.';
+      break;
+    case error.POSITION_UNAVAILABLE:
+      text = `The position of the device is unavailable: ${error.message || 'no source of location answered'}.`;
+      break;
+    case error.TIMEOUT:
+      text = `No position was obtained within ${formatPositionDuration(controller.options.timeout)}. Retry, or choose a longer timeout.`;
+      break;
+    default:
+      text = `Geolocation failed: ${error.message}`;
+  }
+
+  controller.message.innerText = text;
+
+  const buttonRetry = document.createElement('button');
+  buttonRetry.innerText = 'Retry';
+  controller.message.appendChild(buttonRetry);
+  buttonRetry.addEventListener('click', retry);
+}
+
+/**
+ * Retrieves the device's current location.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation/getCurrentPosition
+ */
+function requestCurrentPosition(controller) {
+  navigator.geolocation.getCurrentPosition(
+
+    // On Success callback
+    (position) => {
+      console.log('Current Position:', position);
+      showPosition(controller, position, false);
+    },
+
+    // On Error callback
+    (error) => {
+      console.log('Current Position Error:', error);
+      showPositionError(controller, error, () => requestCurrentPosition(controller));
+    },
+
+    powerAdjustedPositionOptions(controller.options)
+  );
+}
+
+/**
+ * Registers the watch of the position with the options of the controller.
+ * An error stops watching, the retry starts it again.
+ */
+function registerPositionWatch(controller) {
+
+  /**
+   * Registers a handler function that will be called
+   * automatically each time the position of the device changes.
+   * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation/watchPosition
+   */
+  controller.watchId = navigator.geolocation.watchPosition(
+
+    // On Success callback
+    (position) => {
+      console.log('Watching Position:', position);
+      showPosition(controller, position, true);
+    },
+
+    // On Error callback
+    (error) => {
+      console.log('Watch Position Error:', error);
+      stopWatchingPosition(controller);
+      showPositionError(controller, error, () => startWatchingPosition(controller));
+    },
+
+    powerAdjustedPositionOptions(controller.options)
+  );
+}
+
+/**
+ * Starts watching the position of the device, unless already watching,
+ * and tells the watch listeners.
+ */
+function startWatchingPosition(controller) {
+  if (controller.watchId !== null) {
+    return;
+  }
+
+  registerPositionWatch(controller);
+  for (const listener of controller.watchListeners) {
+    listener(true);
+  }
+}
+
+/**
+ * Restarts a running watch, which only takes new options that way.
+ * The watch listeners aren't told, as the watch goes on.
+ */
+function restartWatchingPosition(controller) {
+  if (controller.watchId !== null) {
+    navigator.geolocation.clearWatch(controller.watchId);
+    registerPositionWatch(controller);
+  }
+}
+
+/**
+ * Stops watching the position of the device, if watching, and tells
+ * the watch listeners.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation/clearWatch
+ */
+function stopWatchingPosition(controller) {
+  if (controller.watchId !== null) {
+    navigator.geolocation.clearWatch(controller.watchId);
+    controller.watchId = null;
+
+    for (const listener of controller.watchListeners) {
+      listener(false);
+    }
+  }
+}
@@ -0,0 +1,171 @@
+'use strict';
+
+// Keeps this many positions on the map, dropping the oldest ones
+const MAP_MAX_POSITIONS = 10000;
+
+// The map shows at least this many meters across, so a single fix isn't zoomed in endlessly
+const MAP_MIN_EXTENT = 50;
+
+// Space kept around the path, in pixels
+const MAP_PADDING = 20;
+
+/**
+ * Creates the mini-map of a geolocation controller: a canvas plotting
+ * the positions as a path scaled to their bounding box, the accuracy
+ * circle of the latest fix, a north arrow and the width of the map.
+ * It works offline: no tiles, only the positions.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Canvas_API
+ */
+function mountGeolocationMap(controller) {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const buttonClearMap = document.createElement('button');
+  buttonClearMap.innerText = 'Clear Map';
+  container.appendChild(buttonClearMap);
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'map';
+  container.appendChild(canvas);
+  const context = canvas.getContext('2d');
+
+  let positions = [];
+  let frame = null;
+
+  // Draws once per animation frame, however many positions came in
+  function requestDraw() {
+    if (frame === null) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        draw();
+      });
+    }
+  }
+
+  // Helper function to draw the north arrow in the top right corner
+  function drawNorthArrow(width) {
+    const x = width - 20;
+    context.fillStyle = '#333';
+    context.beginPath();
+    context.moveTo(x, 8);
+    context.lineTo(x + 7, 28);
+    context.lineTo(x, 23);
+    context.lineTo(x - 7, 28);
+    context.closePath();
+    context.fill();
+
+    context.textAlign = 'center';
+    context.fillText('N', x, 32);
+    context.textAlign = 'left';
+  }
+
+  function draw() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 300;
+    const height = canvas.clientHeight || 240;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+    }
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.font = '12px sans-serif';
+    context.textBaseline = 'top';
+
+    drawNorthArrow(width);
+
+    if (positions.length === 0) {
+      context.fillStyle = '#64646E';
+      context.fillText('Map: no position yet', 5, 5);
+      return;
+    }
+
+    // Project the positions in meters around the latest fix: x to the east, y to the north
+    const latest = positions[positions.length - 1];
+    const metersPerDegree = EARTH_RADIUS * DEGREES_TO_RADIANS;
+    const metersPerLongitude = metersPerDegree * Math.cos(latest.latitude * DEGREES_TO_RADIANS);
+    const points = positions.map(({ latitude, longitude }) => ({
+      x: (longitude - latest.longitude) * metersPerLongitude,
+      y: (latitude - latest.latitude) * metersPerDegree
+    }));
+
+    // Bounding box of the path and of the accuracy circle
+    const xs = points.map(({ x }) => x);
+    const ys = points.map(({ y }) => y);
+    const minX = Math.min(...xs, -latest.accuracy);
+    const maxX = Math.max(...xs, latest.accuracy);
+    const minY = Math.min(...ys, -latest.accuracy);
+    const maxY = Math.max(...ys, latest.accuracy);
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const extentX = Math.max(maxX - minX, MAP_MIN_EXTENT);
+    const extentY = Math.max(maxY - minY, MAP_MIN_EXTENT);
+
+    // Same scale on both axes, so the shapes aren't distorted
+    const scale = Math.min((width - 2 * MAP_PADDING) / extentX, (height - 2 * MAP_PADDING) / extentY);
+    const toCanvas = ({ x, y }) => ({
+      x: width / 2 + (x - centerX) * scale,
+      y: height / 2 - (y - centerY) * scale
+    });
+
+    // Accuracy circle of the latest fix
+    const origin = toCanvas({ x: 0, y: 0 });
+    context.fillStyle = 'rgba(128, 206, 23, 0.2)';
+    context.strokeStyle = '#80CE17';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.arc(origin.x, origin.y, latest.accuracy * scale, 0, 2 * Math.PI);
+    context.fill();
+    context.stroke();
+
+    // The path
+    context.strokeStyle = '#64646E';
+    context.lineWidth = 2;
+    context.beginPath();
+    points.map(toCanvas).forEach((point, index) => {
+      if (index === 0) {
+        context.moveTo(point.x, point.y);
+      }
+      else {
+        context.lineTo(point.x, point.y);
+      }
+    });
+    context.stroke();
+
+    // The latest fix
+    context.fillStyle = '#333';
+    context.beginPath();
+    context.arc(origin.x, origin.y, 4, 0, 2 * Math.PI);
+    context.fill();
+
+    // Overlay
+    context.fillText(
+      `${positions.length} positions, ${formatDistance(width / scale)} across, accuracy ${formatDistance(latest.accuracy)}`,
+      5, 5
+    );
+  }
+
+  draw(); // Draw the empty map
+
+  buttonClearMap.addEventListener('click', () => {
+    positions = [];
+    requestDraw();
+  });
+
+  controller.positionListeners.push((position) => {
+    const { latitude, longitude, accuracy } = position.coords;
+    positions.push({ latitude, longitude, accuracy });
+    if (positions.length > MAP_MAX_POSITIONS) {
+      positions.shift();
+    }
+    requestDraw();
+  });
+
+  controller.cleanups.push(() => {
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+    }
+  });
+}
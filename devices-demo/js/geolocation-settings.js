@@ -0,0 +1,124 @@
+'use strict';
+
+// Timeouts offered for the positions, in milliseconds (Infinity never times out)
+const GEOLOCATION_TIMEOUTS = [Infinity, 5000, 10000, 30000, 60000];
+
+// Maximum ages offered for a cached position, in milliseconds
+const GEOLOCATION_MAXIMUM_AGES = [0, 10000, 60000, 300000, Infinity];
+
+/**
+ * Returns the PositionOptions of the route parameters, such as
+ * '?highAccuracy=true&timeout=10000&maximumAge=0'. Missing or invalid
+ * parameters keep the defaults of the Geolocation API.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation/getCurrentPosition#options
+ */
+function resolveGeolocationOptions(params = {}) {
+  const options = {
+    enableHighAccuracy: params.highAccuracy === 'true',
+    timeout: Infinity,
+    maximumAge: 0
+  };
+
+  const timeout = Number(params.timeout);
+  if (params.timeout && timeout >= 0) {
+    options.timeout = timeout;
+  }
+
+  const maximumAge = Number(params.maximumAge);
+  if (params.maximumAge && maximumAge >= 0) {
+    options.maximumAge = maximumAge;
+  }
+
+  return options;
+}
+
+/**
+ * Returns the route parameters of the PositionOptions, leaving out the defaults.
+ */
+function geolocationRouteParams(options) {
+  const params = {};
+  if (options.enableHighAccuracy) {
+    params.highAccuracy = 'true';
+  }
+  if (options.timeout !== Infinity) {
+    params.timeout = options.timeout;
+  }
+  if (options.maximumAge !== 0) {
+    params.maximumAge = options.maximumAge;
+  }
+  return params;
+}
+
+/**
+ * Formats a duration in milliseconds of the PositionOptions.
+ */
+function formatPositionDuration(milliseconds) {
+  if (milliseconds === Infinity) {
+    return 'forever';
+  }
+  return milliseconds < 60000 ? `${milliseconds / 1000} s` : `${milliseconds / 60000} min`;
+}
+
+/**
+ * Creates the settings of a geolocation controller: high accuracy,
+ * timeout and maximum age. Changing them calls applyOptions with the
+ * new options and updates the route to match.
+ */
+function mountGeolocationSettings(controller, applyOptions) {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const labelHighAccuracy = document.createElement('label');
+  const checkboxHighAccuracy = document.createElement('input');
+  checkboxHighAccuracy.type = 'checkbox';
+  checkboxHighAccuracy.checked = controller.options.enableHighAccuracy;
+  labelHighAccuracy.append(checkboxHighAccuracy, ' High accuracy');
+  container.appendChild(labelHighAccuracy);
+
+  // Helper function to create a select of durations, keeping a value from the route
+  function createDurationSelect(durations, value, describe) {
+    const select = document.createElement('select');
+    const values = durations.includes(value) ? durations : [...durations, value];
+
+    for (const duration of values) {
+      const option = document.createElement('option');
+      option.value = duration;
+      option.text = describe(duration);
+      select.appendChild(option);
+    }
+    select.value = value;
+    container.appendChild(select);
+    return select;
+  }
+
+  const selectTimeout = createDurationSelect(
+    GEOLOCATION_TIMEOUTS,
+    controller.options.timeout,
+    (timeout) => timeout === Infinity ? 'No timeout' : `Timeout ${formatPositionDuration(timeout)}`
+  );
+
+  const selectMaximumAge = createDurationSelect(
+    GEOLOCATION_MAXIMUM_AGES,
+    controller.options.maximumAge,
+    (maximumAge) => maximumAge === 0 ? 'No cached position' : `Cached up to ${formatPositionDuration(maximumAge)}`
+  );
+
+  function onSettingsChange() {
+    const options = {
+      enableHighAccuracy: checkboxHighAccuracy.checked,
+      timeout: Number(selectTimeout.value),
+      maximumAge: Number(selectMaximumAge.value)
+    };
+
+    applyOptions(options);
+
+    // Keep the route in sync, without remounting the feature
+    history.replaceState(null, '', buildRoute('geolocation', geolocationRouteParams(options)));
+  }
+
+  checkboxHighAccuracy.addEventListener('change', onSettingsChange);
+  selectTimeout.addEventListener('change', onSettingsChange);
+  selectMaximumAge.addEventListener('change', onSettingsChange);
+}
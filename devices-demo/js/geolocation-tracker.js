@@ -0,0 +1,260 @@
+'use strict';
+
+// Mean radius of the Earth, in meters
+const EARTH_RADIUS = 6371008.8;
+
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+/**
+ * Returns the great-circle distance in meters between two points given
+ * by their latitude and longitude, with the haversine formula.
+ */
+function haversineDistance(from, to) {
+  const latitude1 = from.latitude * DEGREES_TO_RADIANS;
+  const latitude2 = to.latitude * DEGREES_TO_RADIANS;
+  const deltaLatitude = latitude2 - latitude1;
+  const deltaLongitude = (to.longitude - from.longitude) * DEGREES_TO_RADIANS;
+
+  const a = Math.sin(deltaLatitude / 2) ** 2
+    + Math.cos(latitude1) * Math.cos(latitude2) * Math.sin(deltaLongitude / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Returns the initial bearing in degrees from one point to another,
+ * clockwise from the true north like GeolocationCoordinates.heading.
+ */
+function initialBearing(from, to) {
+  const latitude1 = from.latitude * DEGREES_TO_RADIANS;
+  const latitude2 = to.latitude * DEGREES_TO_RADIANS;
+  const deltaLongitude = (to.longitude - from.longitude) * DEGREES_TO_RADIANS;
+
+  const y = Math.sin(deltaLongitude) * Math.cos(latitude2);
+  const x = Math.cos(latitude1) * Math.sin(latitude2)
+    - Math.sin(latitude1) * Math.cos(latitude2) * Math.cos(deltaLongitude);
+
+  return (Math.atan2(y, x) / DEGREES_TO_RADIANS + 360) % 360;
+}
+
+/**
+ * Returns the value of a coordinate, or null when the device doesn't
+ * provide it (heading is NaN while standing still).
+ */
+function coordinateValue(value) {
+  return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+}
+
+/**
+ * Creates the point of a track from a position, following the previous
+ * point if any. The cumulative distance is added up from the previous
+ * point; the speed and heading are computed from it when the device
+ * doesn't provide them.
+ * https://developer.mozilla.org/en-US/docs/Web/API/GeolocationCoordinates
+ */
+function createTrackPoint(position, previous) {
+  const { coords, timestamp } = position;
+  const point = {
+    timestamp,
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: coords.accuracy,
+    altitude: coordinateValue(coords.altitude),
+    altitudeAccuracy: coordinateValue(coords.altitudeAccuracy),
+    heading: coordinateValue(coords.heading),
+    speed: coordinateValue(coords.speed),
+    distance: 0
+  };
+
+  if (previous) {
+    const step = haversineDistance(previous, point);
+    const elapsed = (point.timestamp - previous.timestamp) / 1000;
+
+    point.distance = previous.distance + step;
+    if (point.speed === null && elapsed > 0) {
+      point.speed = step / elapsed;
+    }
+    if (point.heading === null && step > 0) {
+      point.heading = initialBearing(previous, point);
+    }
+  }
+
+  return point;
+}
+
+/**
+ * Serializes a track as GPX 1.1, a single track segment.
+ * https://www.topografix.com/GPX/1/1/
+ */
+function trackToGPX(track) {
+  const points = track.points.map((point) => {
+    const elevation = point.altitude !== null ? `<ele>${point.altitude}</ele>` : '';
+    const time = `<time>${new Date(point.timestamp).toISOString()}</time>`;
+
+    return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${elevation}${time}</trkpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Device Features" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <trk>',
+    `    <name>Track of ${track.startedAt}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Serializes a track as a GeoJSON feature collection holding a line
+ * (or a point, for a single fix). The times and the other values of
+ * the points are kept in the feature properties.
+ * https://datatracker.ietf.org/doc/html/rfc7946
+ */
+function trackToGeoJSON(track) {
+  const coordinates = track.points.map(({ longitude, latitude, altitude }) => {
+    return altitude !== null ? [longitude, latitude, altitude] : [longitude, latitude];
+  });
+  const last = track.points[track.points.length - 1];
+
+  const feature = {
+    type: 'Feature',
+    geometry: coordinates.length === 1
+      ? { type: 'Point', coordinates: coordinates[0] }
+      : { type: 'LineString', coordinates },
+    properties: {
+      startedAt: track.startedAt,
+      distance: last ? last.distance : 0,
+      times: track.points.map(({ timestamp }) => new Date(timestamp).toISOString()),
+      accuracies: track.points.map(({ accuracy }) => accuracy),
+      speeds: track.points.map(({ speed }) => speed),
+      headings: track.points.map(({ heading }) => heading)
+    }
+  };
+
+  return JSON.stringify({ type: 'FeatureCollection', features: [feature] }, null, 2);
+}
+
+/**
+ * Formats a distance in meters, or in kilometers past one.
+ */
+function formatDistance(meters) {
+  return meters < 1000 ? `${meters.toFixed(0)} m` : `${(meters / 1000).toFixed(2)} km`;
+}
+
+/**
+ * Creates the tracker of a geolocation controller: the Start/Stop
+ * Tracking buttons watching the position, the summary of the track
+ * (distance, duration, speed, heading and altitude) and the GPX/GeoJSON
+ * exports.
+ */
+function mountGeolocationTracker(controller) {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const buttonStartTracking = document.createElement('button');
+  buttonStartTracking.innerText = 'Start Tracking';
+  container.appendChild(buttonStartTracking);
+
+  const buttonStopTracking = document.createElement('button');
+  buttonStopTracking.innerText = 'Stop Tracking';
+  buttonStopTracking.disabled = true;
+  container.appendChild(buttonStopTracking);
+
+  const buttonExportGPX = document.createElement('button');
+  buttonExportGPX.innerText = 'Export GPX';
+  buttonExportGPX.disabled = true;
+  container.appendChild(buttonExportGPX);
+
+  const buttonExportGeoJSON = document.createElement('button');
+  buttonExportGeoJSON.innerText = 'Export GeoJSON';
+  buttonExportGeoJSON.disabled = true;
+  container.appendChild(buttonExportGeoJSON);
+
+  const status = document.createElement('div');
+  status.innerText = 'Press Start Tracking to record your track.';
+  container.appendChild(status);
+
+  let track = null;
+  let tracking = false;
+
+  // Helper function to write the summary of the track
+  function writeStatus() {
+    const { points } = track;
+    if (points.length === 0) {
+      status.innerText = tracking ? 'Tracking: waiting for the first position.' : 'No position was tracked.';
+      return;
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const duration = (last.timestamp - first.timestamp) / 1000;
+    const speed = last.speed !== null ? `<b>${(last.speed * 3.6).toFixed(1)}</b> km/h` : 'unknown';
+    const heading = last.heading !== null ? `<b>${last.heading.toFixed(0)}</b>&deg;` : 'unknown';
+    const altitude = last.altitude !== null ? `<b>${last.altitude.toFixed(0)}</b> m` : 'unknown';
+
+    status.innerHTML = `
+      ${tracking ? 'Tracking' : 'Tracked'}: ${points.length} positions,
+      <b>${formatDistance(last.distance)}</b> in ${duration.toFixed(0)} seconds.
+      <br>Speed: ${speed}, heading: ${heading}, altitude: ${altitude}.
+    `;
+  }
+
+  function stopTracking() {
+    tracking = false;
+    stopWatchingPosition(controller);
+    buttonStartTracking.disabled = false;
+    buttonStopTracking.disabled = true;
+    buttonExportGPX.disabled = track.points.length === 0;
+    buttonExportGeoJSON.disabled = track.points.length === 0;
+    writeStatus();
+  }
+
+  buttonStartTracking.addEventListener('click', () => {
+    track = {
+      startedAt: new Date().toISOString(),
+      points: []
+    };
+    tracking = true;
+    startWatchingPosition(controller);
+
+    buttonStartTracking.disabled = true;
+    buttonStopTracking.disabled = false;
+    buttonExportGPX.disabled = true;
+    buttonExportGeoJSON.disabled = true;
+    writeStatus();
+  });
+
+  buttonStopTracking.addEventListener('click', stopTracking);
+
+  buttonExportGPX.addEventListener('click', () => {
+    const filename = `track-${fileTimestamp(new Date(track.startedAt))}.gpx`;
+    downloadFile(filename, 'application/gpx+xml', trackToGPX(track));
+  });
+
+  buttonExportGeoJSON.addEventListener('click', () => {
+    const filename = `track-${fileTimestamp(new Date(track.startedAt))}.geojson`;
+    downloadFile(filename, 'application/geo+json', trackToGeoJSON(track));
+  });
+
+  // The watch stopped, e.g. on an error or by the Watch Position button: so does the tracking
+  controller.watchListeners.push((watching) => {
+    if (!watching && tracking) {
+      stopTracking();
+    }
+  });
+
+  // Adds the watched positions to the track
+  controller.positionListeners.push((position, watched) => {
+    if (!watched || !tracking) {
+      return;
+    }
+
+    track.points.push(createTrackPoint(position, track.points[track.points.length - 1]));
+    writeStatus();
+  });
+}
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Offers the given content as a file download.
+ * https://developer.mozilla.org/en-US/docs/Web/API/URL/createObjectURL
+ */
+function downloadFile(filename, type, content) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Returns a timestamp usable in a file name, e.g. 2023-04-13T10-20-30.
+ */
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
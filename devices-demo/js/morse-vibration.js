@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * The International Morse code of the letters, digits and common punctuation.
+ */
+const MORSE_CODE = {
+  'A': '.-', 'B': '-...', 'C': '-.-.', 'D': '-..', 'E': '.', 'F': '..-.',
+  'G': '--.', 'H': '....', 'I': '..', 'J': '.---', 'K': '-.-', 'L': '.-..',
+  'M': '--', 'N': '-.', 'O': '---', 'P': '.--.', 'Q': '--.-', 'R': '.-.',
+  'S': '...', 'T': '-', 'U': '..-', 'V': '...-', 'W': '.--', 'X': '-..-',
+  'Y': '-.--', 'Z': '--..',
+  '0': '-----', '1': '.----', '2': '..---', '3': '...--', '4': '....-',
+  '5': '.....', '6': '-....', '7': '--...', '8': '---..', '9': '----.',
+  '.': '.-.-.-', ',': '--..--', '?': '..--..', '!': '-.-.--', '/': '-..-.',
+  '-': '-....-', '(': '-.--.', ')': '-.--.-', '@': '.--.-.', '=': '-...-',
+  "'": '.----.', ':': '---...', '+': '.-.-.'
+};
+
+// Speeds offered, in words per minute
+const MORSE_MIN_WPM = 5;
+const MORSE_MAX_WPM = 40;
+const MORSE_DEFAULT_WPM = 15;
+
+/**
+ * Returns the duration of a dot at the given speed, in milliseconds,
+ * after the standard word "PARIS" (50 dots long).
+ */
+function morseUnit(wpm) {
+  return 1200 / wpm;
+}
+
+/**
+ * Converts text into Morse code: the letters separated by spaces and
+ * the words by slashes. The characters without a code are left out.
+ */
+function textToMorse(text) {
+  return text
+    .toUpperCase()
+    .split(/\s+/)
+    .map((word) => [...word].map((character) => MORSE_CODE[character]).filter(Boolean).join(' '))
+    .filter(Boolean)
+    .join(' / ');
+}
+
+/**
+ * Converts Morse code into a vibration pattern: a dot vibrates one unit
+ * and a dash three, separated by one unit within a letter, three between
+ * letters and seven between words.
+ */
+function morseToPattern(morse, unit) {
+  const pattern = [];
+  const words = morse.split(' / ');
+
+  words.forEach((word, wordIndex) => {
+    word.split(' ').forEach((letter, letterIndex) => {
+      [...letter].forEach((symbol, symbolIndex) => {
+        if (symbolIndex > 0) {
+          pattern.push(unit);
+        }
+        else if (letterIndex > 0) {
+          pattern.push(3 * unit);
+        }
+        else if (wordIndex > 0) {
+          pattern.push(7 * unit);
+        }
+        pattern.push(symbol === '-' ? 3 * unit : unit);
+      });
+    });
+  });
+
+  return pattern.map(Math.round);
+}
+
+/**
+ * Creates the Morse player: types text, converts it at the chosen speed,
+ * and plays it as a vibration while a lamp flashes along, so it can be
+ * checked on devices without vibration hardware.
+ * Returns its disposer.
+ */
+function mountMorseVibration() {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const inputText = document.createElement('input');
+  inputText.type = 'text';
+  inputText.placeholder = 'Text to play in Morse';
+  inputText.value = 'SOS';
+  container.appendChild(inputText);
+
+  const labelWpm = document.createElement('label');
+  const inputWpm = document.createElement('input');
+  inputWpm.type = 'number';
+  inputWpm.min = MORSE_MIN_WPM;
+  inputWpm.max = MORSE_MAX_WPM;
+  inputWpm.value = MORSE_DEFAULT_WPM;
+  labelWpm.append(' ', inputWpm, ' WPM');
+  container.appendChild(labelWpm);
+
+  const buttonPlay = document.createElement('button');
+  buttonPlay.innerText = 'Play Morse';
+  container.appendChild(buttonPlay);
+
+  const buttonStop = document.createElement('button');
+  buttonStop.innerText = 'Stop Morse';
+  buttonStop.disabled = true;
+  container.appendChild(buttonStop);
+
+  const lamp = document.createElement('div');
+  lamp.className = 'morse-lamp';
+  container.appendChild(lamp);
+
+  const code = document.createElement('div');
+  code.className = 'morse-code';
+  container.appendChild(code);
+
+  let timeouts = [];
+
+  // Helper function to write the code of the text
+  function writeCode() {
+    code.innerText = textToMorse(inputText.value) || 'Nothing to play.';
+  }
+  writeCode();
+
+  function stop() {
+    for (const timeout of timeouts) {
+      clearTimeout(timeout);
+    }
+    timeouts = [];
+    lamp.classList.remove('on');
+    buttonPlay.disabled = false;
+    buttonStop.disabled = true;
+    if ('vibrate' in navigator) {
+      navigator.vibrate(0);
+    }
+  }
+
+  buttonPlay.addEventListener('click', () => {
+    stop();
+
+    const morse = textToMorse(inputText.value);
+    if (!morse) {
+      return;
+    }
+    const wpm = Math.min(Math.max(Number(inputWpm.value) || MORSE_DEFAULT_WPM, MORSE_MIN_WPM), MORSE_MAX_WPM);
+    inputWpm.value = wpm;
+    const pattern = morseToPattern(morse, morseUnit(wpm));
+
+    // Flash the lamp: on at the even segments, off at the odd ones.
+    // Browsers cut the long patterns short, so the vibration is played in
+    // chunks starting with a vibration, on the same schedule as the lamp.
+    const chunkLength = VIBRATION_MAX_SEGMENTS - VIBRATION_MAX_SEGMENTS % 2;
+    let elapsed = 0;
+    pattern.forEach((duration, index) => {
+      timeouts.push(setTimeout(() => {
+        lamp.classList.toggle('on', index % 2 === 0);
+
+        /**
+         * Pulses the vibration hardware on the device.
+         * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/vibrate
+         */
+        if (index % chunkLength === 0 && 'vibrate' in navigator) {
+          navigator.vibrate(pattern.slice(index, index + chunkLength));
+        }
+      }, elapsed));
+      elapsed += duration;
+    });
+    timeouts.push(setTimeout(stop, elapsed));
+
+    buttonPlay.disabled = true;
+    buttonStop.disabled = false;
+  });
+
+  buttonStop.addEventListener('click', stop);
+  inputText.addEventListener('input', writeCode);
+
+  return stop;
+}
@@ -0,0 +1,260 @@
+'use strict';
+
+// Same-origin endpoints of the probes, never cached by the service worker
+const NETWORK_PROBE_LATENCY_URL = '/probe/ping.txt';
+const NETWORK_PROBE_PAYLOAD_URL = '/probe/payload.bin';
+
+// Round trips measured by each latency probe, the median is kept
+const NETWORK_PROBE_PINGS = 3;
+
+// A probe taking longer is aborted, in seconds
+const NETWORK_PROBE_TIMEOUT = 30;
+
+// Intervals offered for the automatic probes, in seconds (0 probes on demand only)
+const NETWORK_PROBE_INTERVALS = [0, 10, 30, 60];
+
+// Keeps this many entries in the timeline, dropping the oldest ones
+const NETWORK_TIMELINE_MAX_ENTRIES = 200;
+
+/**
+ * Returns the attributes of the NetworkInformation, or null when the
+ * browser doesn't provide it.
+ * https://developer.mozilla.org/en-US/docs/Web/API/NetworkInformation
+ */
+function connectionSnapshot() {
+  if (!('connection' in navigator)) {
+    return null;
+  }
+
+  const { type, effectiveType, downlink, downlinkMax, rtt, saveData } = navigator.connection;
+  return { type, effectiveType, downlink, downlinkMax, rtt, saveData };
+}
+
+/**
+ * Fetches a probe endpoint around the HTTP cache, the query making
+ * sure no intermediary answers it either. The signal aborts it.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Request/cache
+ */
+function fetchProbe(url, signal) {
+  return fetch(`${url}?t=${Date.now()}`, { cache: 'no-store', signal })
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`${url} answered ${response.status}`);
+      }
+      return response;
+    });
+}
+
+/**
+ * Measures the latency to the app, in milliseconds: the median of a
+ * few round trips fetching a tiny file.
+ */
+async function probeLatency(signal) {
+  const durations = [];
+  for (let ping = 0; ping < NETWORK_PROBE_PINGS; ping++) {
+    const start = performance.now();
+    const response = await fetchProbe(NETWORK_PROBE_LATENCY_URL, signal);
+    await response.text();
+    durations.push(performance.now() - start);
+  }
+
+  durations.sort((a, b) => a - b);
+  return durations[Math.floor(durations.length / 2)];
+}
+
+/**
+ * Measures the download throughput from the app, in Mbps, by fetching
+ * an incompressible payload.
+ */
+async function probeThroughput(signal) {
+  const start = performance.now();
+  const response = await fetchProbe(NETWORK_PROBE_PAYLOAD_URL, signal);
+  const payload = await response.arrayBuffer();
+  const seconds = (performance.now() - start) / 1000;
+
+  return payload.byteLength * 8 / seconds / 1e6;
+}
+
+/**
+ * Describes a connection snapshot in a few words, for the timeline.
+ */
+function describeConnection(snapshot) {
+  if (!snapshot) {
+    return 'no connection information';
+  }
+  return `reported ${snapshot.effectiveType || 'unknown'}, ${snapshot.downlink ?? 'unknown'} Mbps, ${snapshot.rtt ?? 'unknown'} ms`;
+}
+
+/**
+ * Describes an entry of the network timeline in a sentence.
+ */
+function describeTimelineEntry(entry) {
+  const connection = describeConnection(entry.connection);
+  switch (entry.event) {
+    case 'initial': return `Started ${entry.online ? 'online' : 'offline'}, ${connection}.`;
+    case 'online': return `Online, ${connection}.`;
+    case 'offline': return `Offline, ${connection}.`;
+    case 'change': return `Connection changed: ${connection}.`;
+    case 'probe': return `Probe: ${entry.latency.toFixed(0)} ms, ${entry.throughput.toFixed(2)} Mbps (${connection}).`;
+    case 'probe-failed': return `Probe failed: ${entry.error}`;
+  }
+}
+
+/**
+ * Creates the network quality monitor: probes the latency and the
+ * throughput on demand or periodically, charts them over the session,
+ * and records them in a timeline with the connection changes and the
+ * online/offline events, to compare what the browser reports with
+ * what is measured. Each entry of the timeline holds a snapshot of the
+ * connection, and the timeline can be exported as JSON for bug reports.
+ * Returns its disposer.
+ */
+function mountNetworkMonitor() {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const buttonProbe = document.createElement('button');
+  buttonProbe.innerText = 'Probe Now';
+  container.appendChild(buttonProbe);
+
+  const selectInterval = document.createElement('select');
+  for (const seconds of NETWORK_PROBE_INTERVALS) {
+    const option = document.createElement('option');
+    option.value = seconds;
+    option.text = seconds ? `Probe every ${seconds} seconds` : 'Probe on demand';
+    selectInterval.appendChild(option);
+  }
+  container.appendChild(selectInterval);
+
+  const buttonExport = document.createElement('button');
+  buttonExport.innerText = 'Export Timeline';
+  container.appendChild(buttonExport);
+
+  const latencyChart = createTimeSeriesChart({ label: 'Latency', unit: 'ms', color: '#337AB7', windowSeconds: 60 });
+  container.appendChild(latencyChart.canvas);
+
+  const throughputChart = createTimeSeriesChart({ label: 'Throughput', unit: 'Mbps', windowSeconds: 60 });
+  container.appendChild(throughputChart.canvas);
+
+  const list = document.createElement('ul');
+  container.appendChild(list);
+
+  const timeline = [];
+  const sessionStart = Date.now();
+  let probeController = null;
+  let intervalId = null;
+  let disposed = false;
+
+  // Helper function to add an entry to the timeline, and write it the newest first
+  function record(event, details = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      event,
+      online: navigator.onLine,
+      connection: connectionSnapshot(),
+      ...details
+    };
+    timeline.push(entry);
+
+    const item = document.createElement('li');
+    item.innerText = `${new Date(entry.timestamp).toLocaleTimeString()} ${describeTimelineEntry(entry)}`;
+    list.prepend(item);
+
+    if (timeline.length > NETWORK_TIMELINE_MAX_ENTRIES) {
+      timeline.shift();
+      list.lastElementChild.remove();
+    }
+  }
+  record('initial');
+
+  async function probe() {
+    if (probeController) {
+      return;
+    }
+    buttonProbe.disabled = true;
+
+    // Abort a stalled probe, which would block the next ones
+    const controller = new AbortController();
+    const { signal } = controller;
+    const timeout = setTimeout(() => {
+      controller.abort(new Error(`no answer within ${NETWORK_PROBE_TIMEOUT} seconds`));
+    }, NETWORK_PROBE_TIMEOUT * 1000);
+    probeController = controller;
+
+    try {
+      const latency = await probeLatency(signal);
+      const throughput = await probeThroughput(signal);
+      if (disposed) {
+        return;
+      }
+
+      // The charts span the whole session
+      const timestamp = Date.now();
+      for (const chart of [latencyChart, throughputChart]) {
+        chart.setWindow(Math.max(60, (timestamp - sessionStart) / 1000));
+      }
+      latencyChart.push(timestamp, latency);
+      throughputChart.push(timestamp, throughput);
+
+      record('probe', { latency, throughput });
+    } catch (error) {
+      if (!disposed) {
+        record('probe-failed', { error: error.message });
+      }
+    } finally {
+      clearTimeout(timeout);
+      probeController = null;
+      buttonProbe.disabled = false;
+    }
+  }
+
+  buttonProbe.addEventListener('click', probe);
+
+  buttonExport.addEventListener('click', () => {
+    const report = {
+      exportedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      timeline
+    };
+    downloadFile(`network-timeline-${fileTimestamp()}.json`, 'application/json', JSON.stringify(report, null, 2));
+  });
+
+  selectInterval.addEventListener('change', () => {
+    clearInterval(intervalId);
+    intervalId = null;
+
+    const seconds = Number(selectInterval.value);
+    if (seconds) {
+      intervalId = setInterval(probe, seconds * 1000);
+      probe();
+    }
+  });
+
+  // Connection changes, and the browser going online or offline
+  const onConnectionChange = () => record('change');
+  const onOnline = () => record('online');
+  const onOffline = () => record('offline');
+
+  if ('connection' in navigator) {
+    navigator.connection.addEventListener('change', onConnectionChange);
+  }
+  window.addEventListener('online', onOnline);
+  window.addEventListener('offline', onOffline);
+
+  return () => {
+    disposed = true;
+    clearInterval(intervalId);
+    if (probeController) {
+      probeController.abort();
+    }
+    if ('connection' in navigator) {
+      navigator.connection.removeEventListener('change', onConnectionChange);
+    }
+    window.removeEventListener('online', onOnline);
+    window.removeEventListener('offline', onOffline);
+    latencyChart.dispose();
+    throughputChart.dispose();
+  };
+}
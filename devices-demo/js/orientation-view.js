@@ -0,0 +1,171 @@
+'use strict';
+
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+
+/**
+ * Multiplies two quaternions given as [x, y, z, w], like the
+ * OrientationSensor.quaternion attribute.
+ * https://developer.mozilla.org/en-US/docs/Web/API/OrientationSensor/quaternion
+ */
+function multiplyQuaternions([ax, ay, az, aw], [bx, by, bz, bw]) {
+  return [
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+    aw * bw - ax * bx - ay * by - az * bz
+  ];
+}
+
+/**
+ * Returns the inverse rotation of a unit quaternion.
+ */
+function conjugateQuaternion([x, y, z, w]) {
+  return [-x, -y, -z, w];
+}
+
+/**
+ * Converts a unit quaternion into roll (x), pitch (y) and yaw (z)
+ * angles in degrees, applied in the yaw, pitch, roll order.
+ */
+function quaternionToEuler([x, y, z, w]) {
+  const sinPitch = Math.max(-1, Math.min(1, 2 * (w * y - z * x)));
+
+  return {
+    roll: Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y)) * RADIANS_TO_DEGREES,
+    pitch: Math.asin(sinPitch) * RADIANS_TO_DEGREES,
+    yaw: Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z)) * RADIANS_TO_DEGREES
+  };
+}
+
+/**
+ * Converts a unit quaternion into a 3x3 rotation matrix, as rows.
+ */
+function quaternionToMatrix([x, y, z, w]) {
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+    [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+    [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)]
+  ];
+}
+
+/**
+ * Returns the CSS matrix3d() applying a rotation matrix to an element.
+ * The sensor Y axis points up while the CSS one points down, so the
+ * matrix is mirrored on Y; matrix3d() then expects the columns in order.
+ * https://developer.mozilla.org/en-US/docs/Web/CSS/transform-function/matrix3d
+ */
+function matrixToCSS(matrix) {
+  const mirror = [1, -1, 1];
+  const values = [];
+  for (let column = 0; column < 3; column++) {
+    for (let row = 0; row < 3; row++) {
+      values.push(mirror[row] * mirror[column] * matrix[row][column]);
+    }
+    values.push(0);
+  }
+  values.push(0, 0, 0, 1);
+
+  return `matrix3d(${values.map((value) => value.toFixed(6)).join(',')})`;
+}
+
+/**
+ * Creates the orientation view of a quaternion sensor controller:
+ * a device model rotating with the readings, the Euler angles and
+ * the rotation matrix. When the descriptor allows it, a "Zero Here"
+ * button makes the current orientation the reference one.
+ */
+function mountOrientationView(controller) {
+  const { zeroable } = controller.descriptor.orientation;
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  container.className = 'orientation-view';
+  output.appendChild(container);
+
+  let buttonZero;
+  let buttonResetZero;
+  if (zeroable) {
+    buttonZero = document.createElement('button');
+    buttonZero.innerText = 'Zero Here';
+    buttonZero.disabled = true;
+    container.appendChild(buttonZero);
+
+    buttonResetZero = document.createElement('button');
+    buttonResetZero.innerText = 'Reset Zero';
+    buttonResetZero.disabled = true;
+    container.appendChild(buttonResetZero);
+  }
+
+  const stage = document.createElement('div');
+  stage.className = 'orientation-stage';
+  stage.innerHTML = `
+    <div class="orientation-device">
+      <div class="orientation-face orientation-front">&#9650;<br>Top</div>
+      <div class="orientation-face orientation-back">Back</div>
+    </div>
+  `;
+  container.appendChild(stage);
+  const device = stage.querySelector('.orientation-device');
+
+  const values = document.createElement('div');
+  container.appendChild(values);
+
+  let latest = null;
+  let reference = null;
+  let frame = null;
+
+  // Helper function to write the orientation, once per animation frame
+  function writeOrientation() {
+    frame = null;
+
+    const quaternion = reference
+      ? multiplyQuaternions(conjugateQuaternion(reference), latest)
+      : latest;
+    const { roll, pitch, yaw } = quaternionToEuler(quaternion);
+    const matrix = quaternionToMatrix(quaternion);
+
+    device.style.transform = matrixToCSS(matrix);
+    values.innerHTML = `
+      <div>Orientation${reference ? ' from the zero reference' : ''}:</div>
+      <ul>
+        <li>Roll is <b>${roll.toFixed(1)}</b>&deg;</li>
+        <li>Pitch is <b>${pitch.toFixed(1)}</b>&deg;</li>
+        <li>Yaw is <b>${yaw.toFixed(1)}</b>&deg;</li>
+      </ul>
+      <div>Rotation matrix:</div>
+      <table class="orientation-matrix">
+        ${matrix.map((row) => `<tr>${row.map((value) => `<td>${value.toFixed(3)}</td>`).join('')}</tr>`).join('')}
+      </table>
+    `;
+  }
+
+  if (zeroable) {
+    buttonZero.addEventListener('click', () => {
+      reference = latest;
+      buttonResetZero.disabled = false;
+      writeOrientation();
+    });
+
+    buttonResetZero.addEventListener('click', () => {
+      reference = null;
+      buttonResetZero.disabled = true;
+      writeOrientation();
+    });
+  }
+
+  controller.readingListeners.push((reading) => {
+    latest = reading.quaternion;
+    if (buttonZero) {
+      buttonZero.disabled = false;
+    }
+    if (frame === null) {
+      frame = requestAnimationFrame(writeOrientation);
+    }
+  });
+
+  controller.cleanups.push(() => {
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+    }
+  });
+}
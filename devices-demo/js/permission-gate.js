@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Combines the states of several permissions:
+ * 'denied' wins over 'prompt', which wins over 'granted'.
+ */
+function combinePermissionStates(states) {
+  if (states.includes('denied')) {
+    return 'denied';
+  }
+  if (states.includes('prompt')) {
+    return 'prompt';
+  }
+  return 'granted';
+}
+
+/**
+ * Queries the given permissions and keeps watching them.
+ * Resolves with a gate telling their combined state, and calls
+ * onChange(gate) whenever one of them changes.
+ * A permission the browser can't query is considered 'prompt':
+ * using the API is the only way to learn about it.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Permissions/query
+ */
+async function openPermissionGate(names, onChange) {
+  const entries = await Promise.all(names.map((name) => {
+    return navigator.permissions.query({ name })
+      .then((status) => ({ name, status }))
+      .catch((error) => {
+        console.log(`Permission ${name} can't be queried:`, error);
+        return { name, status: null };
+      });
+  }));
+
+  const stateOf = ({ status }) => status ? status.state : 'prompt';
+
+  const gate = {
+
+    // The combined state of the permissions
+    state() {
+      return combinePermissionStates(entries.map(stateOf));
+    },
+
+    // The names of the permissions with the given state
+    namesWithState(state) {
+      return entries.filter((entry) => stateOf(entry) === state).map(({ name }) => name);
+    },
+
+    // Stops watching the permissions
+    close() {
+      for (const { status } of entries) {
+        if (status) {
+          status.removeEventListener('change', onStatusChange);
+        }
+      }
+    }
+  };
+
+  /**
+   * Fires whenever the PermissionStatus.state property changes.
+   * https://developer.mozilla.org/en-US/docs/Web/API/PermissionStatus/change_event
+   */
+  function onStatusChange() {
+    onChange(gate);
+  }
+  for (const { status } of entries) {
+    if (status) {
+      status.addEventListener('change', onStatusChange);
+    }
+  }
+
+  return gate;
+}
+
+/**
+ * Explains how to allow a denied sensor permission in the current browser.
+ */
+function sensorPermissionGuidance() {
+  const userAgent = navigator.userAgent;
+
+  if (/SamsungBrowser/.test(userAgent)) {
+    return 'In Samsung Internet, open the menu, then Settings, Sites and downloads, Site permissions, and allow the motion sensors for this site.';
+  }
+  if (/Edg\//.test(userAgent)) {
+    return 'In Edge, click the lock icon next to the address, open Permissions for this site, and set Motion sensors to Allow.';
+  }
+  if (/OPR\//.test(userAgent)) {
+    return 'In Opera, click the lock icon next to the address, open Site settings, and set Motion sensors to Allow.';
+  }
+  if (/Chrome\//.test(userAgent) && /Android/.test(userAgent)) {
+    return 'In Chrome, tap the icon next to the address, open Permissions, and allow Motion sensors.';
+  }
+  if (/Chrome\//.test(userAgent)) {
+    return 'In Chrome, click the icon next to the address, open Site settings, and set Motion sensors to Allow.';
+  }
+  return "Allow the motion sensors for this site in your browser's site settings.";
+}
@@ -0,0 +1,172 @@
+'use strict';
+
+// The battery is low under this level, while discharging
+const POWER_LOW_BATTERY_LEVEL = 0.2;
+
+// Effective connection types considered slow
+const POWER_SLOW_CONNECTION_TYPES = ['slow-2g', '2g'];
+
+// The sensors are capped to this frequency while saving power, in Hz
+const POWER_SENSOR_FREQUENCY = 5;
+
+/**
+ * The state of the power-aware mode, shared by the features:
+ *  - battery: the watched BatteryManager, once known
+ *  - reasons: why power is being saved, as text
+ *  - throttles: which savings are active, all of them together while the
+ *    battery is low and discharging or the connection is slow
+ *     - sensorFrequency: the sensors run at POWER_SENSOR_FREQUENCY at most
+ *     - pauseCharts: the sensor charts stop drawing
+ *     - suspendHighAccuracy: the geolocation doesn't ask for high accuracy
+ *  - listeners: called whenever the throttles change
+ */
+const powerPolicy = {
+  battery: null,
+  reasons: [],
+  throttles: {
+    sensorFrequency: false,
+    pauseCharts: false,
+    suspendHighAccuracy: false
+  },
+  listeners: []
+};
+
+/**
+ * Decides the throttles from the battery and the connection: a low
+ * battery while discharging or a slow connection triggers them all,
+ * the data saver counting as a slow connection.
+ * https://developer.mozilla.org/en-US/docs/Web/API/NetworkInformation
+ */
+function evaluatePowerPolicy() {
+  const { battery } = powerPolicy;
+  const connection = navigator.connection;
+
+  const lowBattery = Boolean(battery) && !battery.charging && battery.level < POWER_LOW_BATTERY_LEVEL;
+  const saveData = Boolean(connection && connection.saveData);
+  const slowType = Boolean(connection) && POWER_SLOW_CONNECTION_TYPES.includes(connection.effectiveType);
+  const slowConnection = saveData || slowType;
+
+  const reasons = [];
+  if (lowBattery) {
+    reasons.push(`the battery is at ${(battery.level * 100).toFixed(0)}% and discharging`);
+  }
+  if (saveData) {
+    reasons.push('the data saver is on');
+  }
+  if (slowType) {
+    reasons.push(`the connection is slow (${connection.effectiveType})`);
+  }
+
+  const saving = lowBattery || slowConnection;
+  const throttles = {
+    sensorFrequency: saving,
+    pauseCharts: saving,
+    suspendHighAccuracy: saving
+  };
+
+  const changed = Object.keys(throttles).some((name) => throttles[name] !== powerPolicy.throttles[name]);
+  powerPolicy.reasons = reasons;
+  powerPolicy.throttles = throttles;
+  writePowerIndicator();
+
+  if (changed) {
+    console.log('Power policy:', throttles);
+    for (const listener of powerPolicy.listeners) {
+      listener(throttles);
+    }
+  }
+}
+
+/**
+ * Shows which throttles are active and why, or hides the indicator.
+ */
+function writePowerIndicator() {
+  const indicator = document.getElementById('power-indicator');
+  const { throttles } = powerPolicy;
+
+  const active = [];
+  if (throttles.sensorFrequency) {
+    active.push(`sensors limited to ${POWER_SENSOR_FREQUENCY} Hz`);
+  }
+  if (throttles.pauseCharts) {
+    active.push('sensor charts paused');
+  }
+  if (throttles.suspendHighAccuracy) {
+    active.push('high accuracy geolocation suspended');
+  }
+
+  indicator.hidden = active.length === 0;
+  indicator.innerHTML = active.length
+    ? `<b>Power saving:</b> ${active.join(', ')}, as ${powerPolicy.reasons.join(' and ')}.`
+    : '';
+}
+
+/**
+ * Calls the listener whenever the throttles change.
+ * Returns the function removing the listener.
+ */
+function onPowerPolicyChange(listener) {
+  powerPolicy.listeners.push(listener);
+  return () => {
+    powerPolicy.listeners = powerPolicy.listeners.filter((other) => other !== listener);
+  };
+}
+
+/**
+ * Follows the level and the charging state of a BatteryManager, as
+ * obtained by handleBatteryStatusAPI or at startup.
+ */
+function watchPowerBattery(battery) {
+  if (powerPolicy.battery === battery) {
+    return;
+  }
+  if (powerPolicy.battery) {
+    powerPolicy.battery.removeEventListener('levelchange', evaluatePowerPolicy);
+    powerPolicy.battery.removeEventListener('chargingchange', evaluatePowerPolicy);
+  }
+
+  powerPolicy.battery = battery;
+  battery.addEventListener('levelchange', evaluatePowerPolicy);
+  battery.addEventListener('chargingchange', evaluatePowerPolicy);
+  evaluatePowerPolicy();
+}
+
+/**
+ * Returns the sensor options with the frequency capped while saving power.
+ */
+function powerAdjustedSensorOptions(options) {
+  if (!powerPolicy.throttles.sensorFrequency) {
+    return options;
+  }
+  return { ...options, frequency: Math.min(options.frequency || POWER_SENSOR_FREQUENCY, POWER_SENSOR_FREQUENCY) };
+}
+
+/**
+ * Returns the PositionOptions without the high accuracy while saving power.
+ */
+function powerAdjustedPositionOptions(options) {
+  if (!powerPolicy.throttles.suspendHighAccuracy) {
+    return options;
+  }
+  return { ...options, enableHighAccuracy: false };
+}
+
+/**
+ * Starts the power-aware mode: watches the battery and the connection
+ * for the whole life of the page.
+ */
+function startPowerPolicy() {
+  if ('connection' in navigator) {
+    navigator.connection.addEventListener('change', evaluatePowerPolicy);
+  }
+
+  if ('getBattery' in navigator) {
+    navigator.getBattery()
+      .then(watchPowerBattery)
+      .catch((error) => {
+        console.log('Power policy failed to get the battery:', error);
+      });
+  }
+
+  evaluatePowerPolicy();
+}
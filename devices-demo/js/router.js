@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Parses a location hash such as '#/sensors/gyroscope?frequency=30'.
+ * Returns the feature id (the last path segment) and the query parameters
+ * as a plain object.
+ */
+function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const segments = path.split('/').filter(Boolean);
+
+  return {
+    featureId: segments.length ? decodeURIComponent(segments[segments.length - 1]) : '',
+    params: Object.fromEntries(new URLSearchParams(query))
+  };
+}
+
+/**
+ * Builds the location hash of a feature, grouped like in the registry.
+ * An empty feature id leads back to the home route.
+ */
+function buildRoute(featureId, params = {}) {
+  if (!featureId) {
+    return '#/';
+  }
+
+  const feature = findFeature(featureId);
+  const group = feature && feature.group;
+  const query = new URLSearchParams(params).toString();
+
+  return '#/' + (group ? group + '/' : '') + encodeURIComponent(featureId) + (query ? '?' + query : '');
+}
@@ -2,11 +2,17 @@
 
 const featureSelector = document.getElementById('feature-selector');
 const output = document.getElementById('output');
+const updateBanner = document.getElementById('update-banner');
+
+renderFeatureSelector();
 
 // Service Worker registration
 if ('serviceWorker' in navigator) {
   navigator.serviceWorker
     .register('/service-worker.js', { scope: '/' })
+    .then(function (registration) {
+      watchServiceWorkerUpdates(registration);
+    })
     .catch(function (error) {
       console.log('Service Worker failed to register:', error);
     });
@@ -15,40 +21,132 @@ else {
   console.log('Service Worker is not supported by this browser.');
 }
 
+/**
+ * Watches for a new version of the service worker. Once installed, it
+ * waits until the user accepts to activate it, so the code doesn't
+ * change under a running page (e.g. while a sensor is recording).
+ * https://developer.mozilla.org/en-US/docs/Web/API/ServiceWorkerRegistration
+ */
+function watchServiceWorkerUpdates(registration) {
+
+  // A new version was installed during a previous visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdateBanner(registration.waiting);
+  }
+
+  // Fired when a new version starts installing
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+
+    worker.addEventListener('statechange', () => {
+
+      // Installed while another version controls the page: it's waiting
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdateBanner(worker);
+      }
+    });
+  });
+}
+
+/**
+ * Asks a service worker for its version, through a MessageChannel.
+ * https://developer.mozilla.org/en-US/docs/Web/API/MessageChannel
+ */
+function getServiceWorkerVersion(worker) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => {
+      resolve(event.data.version);
+    };
+    worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+  });
+}
+
+/**
+ * Shows the banner offering to activate the waiting service worker.
+ * Once accepted, the worker skips waiting and the page reloads as soon
+ * as it takes control.
+ */
+function showUpdateBanner(worker) {
+  updateBanner.innerHTML = '<span>A new version is available.</span>';
+
+  const buttonUpdate = document.createElement('button');
+  buttonUpdate.innerText = 'Update';
+  updateBanner.appendChild(buttonUpdate);
+
+  const buttonLater = document.createElement('button');
+  buttonLater.innerText = 'Later';
+  updateBanner.appendChild(buttonLater);
+
+  updateBanner.hidden = false;
+
+  getServiceWorkerVersion(worker)
+    .then((version) => {
+      updateBanner.querySelector('span').innerText = `Version ${version} is available.`;
+    });
+
+  buttonUpdate.addEventListener('click', () => {
+    buttonUpdate.disabled = true;
+
+    // Fired when the new version takes control of the page
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      location.reload();
+    });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+
+  buttonLater.addEventListener('click', () => {
+    updateBanner.hidden = true;
+  });
+}
+
+// Disposer returned by the feature currently displayed
+let disposeCurrentFeature = null;
+
 /**
  * Handles the feature selector.
- * Validates the selected option and calls the proper function.
+ * Navigates to the route of the selected feature, which mounts it.
  */
 featureSelector.addEventListener('change', (event) => {
+  location.hash = buildRoute(event.target.value);
+});
+
+/**
+ * Handles the back/forward navigation and the deep links.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Window/hashchange_event
+ */
+window.addEventListener('hashchange', () => {
+  showRoute();
+});
+
+/**
+ * Shows the feature described by the location hash.
+ * Tears down the previous feature before mounting the new one.
+ */
+function showRoute() {
+  const { featureId, params } = parseRoute(location.hash);
+
+  if (disposeCurrentFeature) {
+    disposeCurrentFeature();
+    disposeCurrentFeature = null;
+  }
   output.innerText = '';
 
-  const selectedOption = event.target.value;
-  switch (selectedOption) {
-    case 'battery': handleBatteryStatusAPI(); break;
-    case 'network-info': handleNetworkInformation(); break;
-    case 'fullscreen': handleFullscreenAPI(); break;
-    case 'screen-orientation': handleScreenOrientationAPI(); break;
-    case 'vibration': handleVibrationAPI(); break;
-    case 'badging': handleBadgingAPI(); break;
-    case 'page-visibility': handlePageVisibility(); break;
-    case 'idle-detection': handleIdleDetectionAPI(); break;
-    case 'screen-wake-lock': handleScreenWakeLockAPI(); break;
-    case 'geolocation': handleGeolocationAPI(); break;
-
-    // Permissions API
-    case 'permissions': handlePermissionsAPI(); break;
-
-    // Sensor APIs
-    case 'accelerometer': handleAccelerometer(); break;
-    case 'linear-acceleration': handleLinearAccelerationSensor(); break;
-    case 'gyroscope': handleGyroscope(); break;
-    case 'gravity': handleGravitySensor(); break;
-    case 'magnetometer': handleMagnetometer(); break;
-    case 'ambient-light': handleAmbientLightSensor(); break;
-    case 'absolute-orientation': handleAbsoluteOrientationSensor(); break;
-    case 'relative-orientation': handleRelativeOrientationSensor(); break;
+  const feature = findFeature(featureId);
+  featureSelector.value = feature ? featureId : '';
+  if (!feature) {
+    if (featureId) {
+      output.innerText = `Unknown feature: ${featureId}`;
+    }
+    return;
   }
-});
+
+  disposeCurrentFeature = feature.mount(params) || null;
+}
+showRoute(); // Show the feature of the initial location
+watchFeatureSupport(); // Mark the options with their support
+startPowerPolicy(); // Save power when the battery or the connection need it
+restoreUnreadBadge(); // Show the unread count kept from the last visit
 
 /**
  * The Battery Status API provides information about the system's
@@ -59,54 +157,93 @@ function handleBatteryStatusAPI() {
   console.log('navigator:', navigator);
   if ('getBattery' in navigator) {
 
-    // Returns a Promise that resolves with a BatteryManager object.
-    // https://developer.mozilla.org/en-US/docs/Web/API/BatteryManager
-    navigator.getBattery()
-      .then(battery => {
-        console.log('Battery:', battery);
+    let batteryManager = null;
+    let disposed = false;
 
-        // Helper function to write the battery info
-        function writeBatteryInfo() {
+    // Create the helper elements
+    const info = document.createElement('div');
+    output.appendChild(info);
 
-          const batteryCharging = battery.charging ? 'Yes' : 'No';
-          const batteryLevel = (battery.level * 100).toFixed(0) + '%';
-          const chargingTime = battery.chargingTime + ' seconds';
-          const dischargingTime = battery.dischargingTime + ' seconds';
+    const batteryHistory = mountBatteryHistory();
 
-          output.innerHTML = `
-            <div>Bettery charging: <strong>${batteryCharging}</strong></div>
-            <div>Bettery level: <strong>${batteryLevel}</strong></div>
-            <div>Charging time: <strong>${chargingTime}</strong></div>
-            <div>Discharging time: <strong>${dischargingTime}</strong></div>
-          `;
-        }
-        writeBatteryInfo(); // Write the initial state
+    // Helper function to write the battery info
+    function writeBatteryInfo() {
+      const battery = batteryManager;
 
-        // Fired when the battery charging state (the charging property) is updated.
-        battery.addEventListener('chargingchange', () => {
-          console.log("Battery charging:", battery.charging);
-          writeBatteryInfo();
-        });
+      const batteryCharging = battery.charging ? 'Yes' : 'No';
+      const batteryLevel = (battery.level * 100).toFixed(0) + '%';
+      const chargingTime = formatBatteryTime(battery.chargingTime);
+      const dischargingTime = formatBatteryTime(battery.dischargingTime);
 
-        // Fired when the battery level (the level property) is updated.
-        battery.addEventListener('levelchange', () => {
-          console.log("Battery level:", battery.level);
-          writeBatteryInfo();
-        });
+      info.innerHTML = `
+        <div>Bettery charging: <strong>${batteryCharging}</strong></div>
+        <div>Bettery level: <strong>${batteryLevel}</strong></div>
+        <div>Charging time: <strong>${chargingTime}</strong></div>
+        <div>Discharging time: <strong>${dischargingTime}</strong></div>
+      `;
+    }
 
-        // Fired when the battery charging time (the chargingTime property) is updated.
-        battery.addEventListener('chargingtimechange', () => {
-          console.log("Charging time:", battery.chargingTime);
-          writeBatteryInfo();
-        });
+    // Listeners attached to the BatteryManager, keyed by event name
+    const batteryListeners = {
+
+      // Fired when the battery charging state (the charging property) is updated.
+      chargingchange: () => {
+        console.log("Battery charging:", batteryManager.charging);
+        writeBatteryInfo();
+        batteryHistory.record(batteryManager, 'chargingchange');
+      },
+
+      // Fired when the battery level (the level property) is updated.
+      levelchange: () => {
+        console.log("Battery level:", batteryManager.level);
+        writeBatteryInfo();
+        batteryHistory.record(batteryManager, 'levelchange');
+      },
+
+      // Fired when the battery charging time (the chargingTime property) is updated.
+      chargingtimechange: () => {
+        console.log("Charging time:", batteryManager.chargingTime);
+        writeBatteryInfo();
+        batteryHistory.record(batteryManager, 'chargingtimechange');
+      },
+
+      // Fired when the battery discharging time (the dischargingTime property) is updated.
+      dischargingtimechange: () => {
+        console.log("Discharging time:", batteryManager.dischargingTime);
+        writeBatteryInfo();
+        batteryHistory.record(batteryManager, 'dischargingtimechange');
+      }
+    };
 
-        // Fired when the battery discharging time (the dischargingTime property) is updated.
-        battery.addEventListener('dischargingtimechange', () => {
-          console.log("Discharging time:", battery.dischargingTime);
-          writeBatteryInfo();
-        });
+    // Returns a Promise that resolves with a BatteryManager object.
+    // https://developer.mozilla.org/en-US/docs/Web/API/BatteryManager
+    navigator.getBattery()
+      .then(battery => {
+        console.log('Battery:', battery);
+        if (disposed) {
+          return;
+        }
+
+        batteryManager = battery;
+        writeBatteryInfo(); // Write the initial state
+        watchPowerBattery(battery); // Share it with the power policy
+        batteryHistory.record(battery, 'initial');
 
+        for (const [eventName, listener] of Object.entries(batteryListeners)) {
+          battery.addEventListener(eventName, listener);
+        }
       });
+
+    // Disposer: detaches the battery listeners
+    return () => {
+      disposed = true;
+      batteryHistory.dispose();
+      if (batteryManager) {
+        for (const [eventName, listener] of Object.entries(batteryListeners)) {
+          batteryManager.removeEventListener(eventName, listener);
+        }
+      }
+    };
   }
   else {
     output.innerText = 'Battery API not supported on this device.';
@@ -116,39 +253,60 @@ function handleBatteryStatusAPI() {
 /**
  * The Navigator.connection property returns an object containing information 
  * about the system's connection.
+ * The network monitor measures its actual quality.
  * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/connection
  */
 function handleNetworkInformation() {
   console.log('navigator:', navigator);
+
+  // Create the helper elements
+  const info = document.createElement('div');
+  output.appendChild(info);
+
+  // The monitor measures the network even without the API
+  const disposeMonitor = mountNetworkMonitor();
+
   if ('connection' in navigator) {
     console.log('Connection:', navigator.connection);
 
     // Helper function to write the network information
     function writeNetworkInfo() {
-      const { type, effectiveType, downlink, downlinkMax } = navigator.connection;
+      const { type, effectiveType, downlink, downlinkMax, rtt, saveData } = navigator.connection;
 
       const networkType = type || 'unknown';
       const networkEffectiveType = effectiveType || 'unknown';
-      const networkDownlink = downlink || 'unknown';
-      const networkDownlinkMax = downlinkMax || 'unknown';
+      const networkDownlink = downlink ?? 'unknown';
+      const networkDownlinkMax = downlinkMax ?? 'unknown';
+      const networkRtt = rtt ?? 'unknown';
+      const networkSaveData = saveData === undefined ? 'unknown' : (saveData ? 'On' : 'Off');
 
-      output.innerHTML = `
+      info.innerHTML = `
         <div>Current network type: <strong>${networkType}</strong></div>
-        <div>Cellular connection type: <strong>${networkEffectiveType}</strong></div>
+        <div>Effective connection type: <strong>${networkEffectiveType}</strong></div>
         <div>Estimated bandwidth: <strong>${networkDownlink}</strong> Mbps</div>
         <div>Maximum downlink: <strong>${networkDownlinkMax}</strong> Mbps</div>
+        <div>Estimated round-trip time: <strong>${networkRtt}</strong> ms</div>
+        <div>Data saver: <strong>${networkSaveData}</strong></div>
       `;
     }
     writeNetworkInfo(); // Write the initial state
 
     // The event that's fired when connection information changes.
-    navigator.connection.addEventListener('change', () => {
+    const onConnectionChange = () => {
       console.log('Connection changed:', navigator.connection);
       writeNetworkInfo();
-    });
+    };
+    navigator.connection.addEventListener('change', onConnectionChange);
+
+    // Disposer: detaches the connection listener and stops the monitor
+    return () => {
+      navigator.connection.removeEventListener('change', onConnectionChange);
+      disposeMonitor();
+    };
   }
   else {
-    output.innerText = 'Network information not available on this device.';
+    info.innerText = 'Network information not available on this device.';
+    return disposeMonitor;
   }
 }
 
@@ -200,6 +358,9 @@ function handleFullscreenAPI() {
           });
       }
     });
+
+    // Disposer: nothing keeps running once the button is removed
+    return () => {};
   }
   else {
     output.innerText = 'Fullscreen not available or enabled on this device.';
@@ -218,7 +379,8 @@ function handleScreenOrientationAPI() {
     console.log('Screen Orientation:', screen.orientation);
 
     // Include the fullscreen mode functionality 
-    handleFullscreenAPI();
+    const disposeFullscreen = handleFullscreenAPI();
+    let locked = false;
 
     // Create the helper elements
     const buttonLockPortrait = document.createElement('button');
@@ -247,6 +409,7 @@ function handleScreenOrientationAPI() {
        */
       screen.orientation.lock(orientation)
         .then(() => {
+          locked = true;
           message.innerText = `Locked to ${screen.orientation.type}`;
         })
         .catch(error => {
@@ -270,9 +433,19 @@ function handleScreenOrientationAPI() {
        * https://developer.mozilla.org/en-US/docs/Web/API/ScreenOrientation/unlock
        */
       screen.orientation.unlock();
+      locked = false;
       message.innerHTML = 'Orientation unlocked';
     });
 
+    // Disposer: releases the orientation lock left by this demo
+    return () => {
+      if (disposeFullscreen) {
+        disposeFullscreen();
+      }
+      if (locked) {
+        screen.orientation.unlock();
+      }
+    };
   }
   else {
     output.innerText = 'Screen orientation is not available on this device.';
@@ -294,10 +467,6 @@ function handleVibrationAPI() {
     output.appendChild(buttonSingle);
     buttonSingle.innerText = 'Single Vibration';
 
-    const buttonMultiple = document.createElement('button');
-    output.appendChild(buttonMultiple);
-    buttonMultiple.innerText = 'Multiple Vibration';
-
     // Single vibration
     buttonSingle.addEventListener('click', () => {
 
@@ -308,18 +477,21 @@ function handleVibrationAPI() {
       navigator.vibrate(200); // Vibrate for 200ms
     });
 
-    // Multiple vibration
-    buttonMultiple.addEventListener('click', () => {
+    // Sequences of vibrations and pauses, and text played in Morse
+    const disposeComposer = mountVibrationComposer();
+    const disposeMorse = mountMorseVibration();
 
-      /**
-       * Pulses the vibration hardware on the device.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/vibrate
-       */
-      navigator.vibrate([200, 100, 200, 300, 600]); // A sequence of vibrations and pauses.
-    });
+    // Disposer: cancels any vibration still playing
+    return () => {
+      disposeComposer();
+      disposeMorse();
+    };
   }
   else {
-    output.innerText = 'Vibration is not supported on this device.';
+    output.innerText = 'Vibration is not supported on this device. The Morse code can still be flashed.';
+
+    // The lamp flashes the code, without vibrating
+    return mountMorseVibration();
   }
 }
 
@@ -327,56 +499,110 @@ function handleVibrationAPI() {
  * Sets a badge on a document or application, to act as a 
  * notification that state has changed without displaying 
  * a more distracting notification.
+ * Sets a count or a flag, falling back to the favicon and the title
+ * without the API, and shows the unread counter which the other
+ * demos increment when they notify the user.
  * https://developer.mozilla.org/en-US/docs/Web/API/Badging_API
  */
 function handleBadgingAPI() {
   console.log('Navigator:', navigator);
-  if ('setAppBadge' in navigator || 'setClientBadge' in navigator) {
-
-    // Create the helper elements
-    const buttonSetAppBadge = document.createElement('button');
-    output.appendChild(buttonSetAppBadge);
-    buttonSetAppBadge.innerText = 'Set App Badge';
-
-    const buttonClearAppBadge = document.createElement('button');
-    output.appendChild(buttonClearAppBadge);
-    buttonClearAppBadge.innerText = 'Clear App Badge';
 
-    const message = document.createElement('div');
-    message.innerText = '';
-    output.appendChild(message);
+  // Create the helper elements
+  const method = document.createElement('div');
+  output.appendChild(method);
+  switch (badgeMethod()) {
+    case 'app': method.innerText = 'The badge is set on the icon of the app.'; break;
+    case 'client': method.innerText = 'The badge is set on the document.'; break;
+    default: method.innerText = 'Badge API not available on this device: the badge is shown on the favicon and the title.';
+  }
+
+  const inputCount = document.createElement('input');
+  inputCount.type = 'number';
+  inputCount.min = 0;
+  inputCount.value = 12;
+  output.appendChild(inputCount);
+
+  const labelFlag = document.createElement('label');
+  const checkboxFlag = document.createElement('input');
+  checkboxFlag.type = 'checkbox';
+  labelFlag.append(checkboxFlag, ' Flag only');
+  output.appendChild(labelFlag);
+
+  const buttonSetAppBadge = document.createElement('button');
+  output.appendChild(buttonSetAppBadge);
+  buttonSetAppBadge.innerText = 'Set App Badge';
+
+  const buttonClearAppBadge = document.createElement('button');
+  output.appendChild(buttonClearAppBadge);
+  buttonClearAppBadge.innerText = 'Clear App Badge';
 
-    // Set App Badge
-    buttonSetAppBadge.addEventListener('click', () => {
+  const message = document.createElement('div');
+  message.innerText = '';
+  output.appendChild(message);
 
-      /**
-       * Sets a badge on the icon associated with this app.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/setAppBadge
-       * 
-       */
-      navigator.setAppBadge(12)
-        .then(() => {
-          message.innerText = 'Badge set to the app.';
-        });
-    });
+  const unread = document.createElement('div');
+  output.appendChild(unread);
 
-    // Clear App Badge
-    buttonClearAppBadge.addEventListener('click', () => {
+  const buttonAddUnread = document.createElement('button');
+  output.appendChild(buttonAddUnread);
+  buttonAddUnread.innerText = 'Add Unread';
 
-      /**
-       * Clears the badge on the icon associated with this app.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/clearAppBadge
-       */
-      navigator.clearAppBadge()
-        .then(() => {
-          message.innerText = 'Badge cleared from the app.';
-        });
-    });
+  const buttonMarkRead = document.createElement('button');
+  output.appendChild(buttonMarkRead);
+  buttonMarkRead.innerText = 'Mark All as Read';
 
+  // Helper function to write the unread count
+  function writeUnread(count) {
+    unread.innerText = `Unread notifications: ${count}`;
   }
-  else {
-    output.innerText = 'Badge API not available on this device.';
+  writeUnread(unreadCounter.count);
+
+  // Helper function to report a rejected badge, e.g. when the app isn't installed
+  function showBadgeError(error) {
+    console.log('Badge:', error);
+    message.innerText = `The badge failed: ${error.message}`;
   }
+
+  checkboxFlag.addEventListener('change', () => {
+    inputCount.disabled = checkboxFlag.checked;
+  });
+
+  // Set App Badge
+  buttonSetAppBadge.addEventListener('click', () => {
+    const count = Math.max(Math.round(Number(inputCount.value)) || 0, 0);
+    inputCount.value = count;
+
+    /**
+     * Sets a badge on the icon associated with this app, a flag
+     * when there's no count.
+     * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/setAppBadge
+     */
+    setBadge(checkboxFlag.checked ? null : count)
+      .then(() => {
+        message.innerText = checkboxFlag.checked ? 'Flag badge set to the app.' : `Badge ${count} set to the app.`;
+      })
+      .catch(showBadgeError);
+  });
+
+  // Clear App Badge
+  buttonClearAppBadge.addEventListener('click', () => {
+
+    /**
+     * Clears the badge on the icon associated with this app.
+     * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/clearAppBadge
+     */
+    setBadge(0)
+      .then(() => {
+        message.innerText = 'Badge cleared from the app.';
+      })
+      .catch(showBadgeError);
+  });
+
+  buttonAddUnread.addEventListener('click', () => incrementUnread());
+  buttonMarkRead.addEventListener('click', () => setUnreadCount(0));
+
+  // Disposer: the badge is meant to outlive the demo, only the counter stops being written
+  return onUnreadChange(writeUnread);
 }
 
 /**
@@ -402,7 +628,7 @@ function handlePageVisibility() {
    * have become visible or have been hidden.
    * https://developer.mozilla.org/en-US/docs/Web/API/Document/visibilitychange_event
    */
-  document.addEventListener("visibilitychange", function () {
+  const onVisibilityChange = function () {
     console.log('State:', document.visibilityState);
 
     if (document.visibilityState === 'hidden') {
@@ -415,10 +641,18 @@ function handlePageVisibility() {
         if (permission === 'granted') {
           navigator.serviceWorker.ready
             .then((registration) => {
-              registration.showNotification('Come back, please!!!', {
+              return registration.showNotification('Come back, please!!!', {
                 body: "Don't leave me here alone.",
                 icon: '/images/logo.png'
               });
+            })
+            .then(() => {
+
+              // Count it as unread on the badge, once shown
+              incrementUnread();
+            })
+            .catch((error) => {
+              console.log('Notification Error:', error);
             });
         }
       });
@@ -431,7 +665,13 @@ function handlePageVisibility() {
         You were away for ${timeAway.toFixed(0)} seconds.
       `;
     }
-  });
+  };
+  document.addEventListener('visibilitychange', onVisibilityChange);
+
+  // Disposer: detaches the visibility listener
+  return () => {
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+  };
 }
 
 /**
@@ -462,6 +702,11 @@ function handleIdleDetectionAPI() {
     output.appendChild(buttonClock);
     buttonClock.innerText = 'Clock';
 
+    // Aborts the idle detection when the demo is torn down
+    // https://developer.mozilla.org/en-US/docs/Web/API/AbortController
+    const abortController = new AbortController();
+    let clockInterval;
+
     // Requests for permission
     buttonPermission.addEventListener('click', () => {
 
@@ -518,7 +763,8 @@ function handleIdleDetectionAPI() {
        * https://developer.mozilla.org/en-US/docs/Web/API/IdleDetector/start
        */
       idleDetector.start({
-        threshold: 60000
+        threshold: 60000,
+        signal: abortController.signal
       })
         .then(() => {
           console.log('Idle detection started.');
@@ -532,12 +778,18 @@ function handleIdleDetectionAPI() {
       let seconds = 0;
       buttonClock.innerText = 'Counting';
 
-      setInterval(() => {
+      clearInterval(clockInterval);
+      clockInterval = setInterval(() => {
         seconds++;
         buttonClock.innerText = seconds + ' seconds';
       }, 1000);
     });
 
+    // Disposer: stops the detector and the clock
+    return () => {
+      abortController.abort();
+      clearInterval(clockInterval);
+    };
   }
   else {
     output.innerText = 'IdleDetector not supported on this device.';
@@ -554,6 +806,9 @@ function handleScreenWakeLockAPI() {
   if ('wakeLock' in navigator) {
     console.log('Navigator wakeLock:', navigator.wakeLock);
 
+    let activeSentinel = null;
+    let disposed = false;
+
     /**
      * The request() method returns a Promise that resolves with a
      * WakeLockSentinel object, which allows control over screen
@@ -564,6 +819,13 @@ function handleScreenWakeLockAPI() {
       .then((sentinel) => {
         console.log('WakeLockSentinel:', sentinel);
 
+        // The demo was left before the lock was granted
+        if (disposed) {
+          sentinel.release();
+          return;
+        }
+        activeSentinel = sentinel;
+
         output.innerHTML = `
           <div>Wake Lock is active!</div>
         `;
@@ -581,7 +843,7 @@ function handleScreenWakeLockAPI() {
            */
           sentinel.release()
             .then(() => {
-              sentinel = null;
+              activeSentinel = null;
               output.innerHTML = `
                 Wake Lock deactivated.<br>
                 The screen was released!
@@ -590,101 +852,18 @@ function handleScreenWakeLockAPI() {
         });
 
       });
-  }
-  else {
-    output.innerText = 'Screen Wake Lock API not supported on this device.';
-  }
-}
-
-/**
- * Allows the user to provide their location to web
- * applications if they so desire.
- * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation_API
- */
-function handleGeolocationAPI() {
-  console.log('Navigator:', navigator);
-  if ('geolocation' in navigator) {
-    console.log('Geolocation:', navigator.geolocation);
-
-    // Create the helper elements
-    const buttonCurrentPosition = document.createElement('button');
-    output.appendChild(buttonCurrentPosition);
-    buttonCurrentPosition.innerText = 'Current Position';
-
-    const buttonWatchPosition = document.createElement('button');
-    output.appendChild(buttonWatchPosition);
-    buttonWatchPosition.innerText = 'Watch Position';
-
-    const message = document.createElement('div');
-    message.innerText = '';
-    output.appendChild(message);
-
-    // Get current position
-    buttonCurrentPosition.addEventListener('click', () => {
-
-      /**
-       * Retrieves the device's current location.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation/getCurrentPosition
-       */
-      navigator.geolocation.getCurrentPosition(
-
-        // On Success callback
-        (position) => {
-          console.log('Current Position:', position);
-
-          message.innerHTML = `
-            <strong>Current Position:</strong>
-            <br>Latitude: ${position.coords.latitude}
-            <br>Longitude: ${position.coords.longitude}
-            <br>More or less ${position.coords.accuracy} meters.
-          `;
-        },
-
-        // On Error callback
-        (error) => {
-          console.log('Current Position Error:', error);
-          message.innerText = 'Geolocation failed to get the current position.';
-        }
-
-      );
-    });
-
-    // Watch position change
-    buttonWatchPosition.addEventListener('click', () => {
-      buttonCurrentPosition.disabled = true;
-      buttonWatchPosition.disabled = true;
-
-      /**
-       * Registers a handler function that will be called 
-       * automatically each time the position of the device changes.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Geolocation/watchPosition
-       */
-      navigator.geolocation.watchPosition(
-
-        // On Success callback
-        (position) => {
-          console.log('Watching Position:', position);
-
-          message.innerHTML = `
-            <strong>Watching Position:</strong>
-            <br>Latitude: ${position.coords.latitude}
-            <br>Longitude: ${position.coords.longitude}
-            <br>More or less ${position.coords.accuracy} meters.
-          `;
-        },
-
-        // On Error callback
-        (error) => {
-          console.log('Watch Position Error:', error);
-          message.innerText = 'Geolocation failed to watch position.';
-        }
-
-      );
-    });
 
+    // Disposer: releases the wake lock still held
+    return () => {
+      disposed = true;
+      if (activeSentinel) {
+        activeSentinel.release();
+        activeSentinel = null;
+      }
+    };
   }
   else {
-    output.innerText = 'Geolocation API not available on this device.';
+    output.innerText = 'Screen Wake Lock API not supported on this device.';
   }
 }
 
@@ -707,8 +886,7 @@ function handlePermissionsAPI() {
     option.text = '- Select -';
     select.appendChild(option);
 
-    const values = ["geolocation", "notifications", "push", "midi", "camera", "microphone", "background-fetch", "background-sync", "persistent-storage", "ambient-light-sensor", "accelerometer", "gyroscope", "magnetometer", "screen-wake-lock", "nfc", "display-capture", "accessibility-events", "clipboard-read", "clipboard-write", "payment-handler", "idle-detection", "periodic-background-sync", "system-wake-lock", "storage-access", "window-placement", "local-fonts"];
-    for (const val of values) {
+    for (const val of PERMISSION_NAMES) {
       const option = document.createElement("option");
       option.value = val;
       option.text = val;
@@ -719,6 +897,9 @@ function handlePermissionsAPI() {
     message.innerText = 'Select a permission above.';
     output.appendChild(message);
 
+    // Change listeners attached to the queried permissions
+    const statusListeners = [];
+
     // Query permissions
     select.addEventListener('change', () => {
       const selectedOption = select.value;
@@ -746,1109 +927,24 @@ function handlePermissionsAPI() {
            * Fires whenever the PermissionStatus.state property changes.
            * https://developer.mozilla.org/en-US/docs/Web/API/PermissionStatus/change_event
            */
-          permissionStatus.addEventListener('change', function () {
+          const onStatusChange = function () {
             message.innerHTML += `
               <div>Changed state for <b>${this.name || selectedOption}</b>: ${this.state}</div>
             `;
-          });
+          };
+          permissionStatus.addEventListener('change', onStatusChange);
+          statusListeners.push([permissionStatus, onStatusChange]);
         });
     });
 
+    // Disposer: detaches the permission listeners
+    return () => {
+      for (const [permissionStatus, listener] of statusListeners) {
+        permissionStatus.removeEventListener('change', listener);
+      }
+    };
   }
   else {
     output.innerText = 'Permission API not available on this device.';
   }
-}
-
-/**
- * Provides on each reading the acceleration applied to the device along all three axes.
- * To use this sensor, the user must grant permission to the 'accelerometer'.
- * https://developer.mozilla.org/en-US/docs/Web/API/Accelerometer
- */
-async function handleAccelerometer() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('Accelerometer' in window)) {
-    output.innerText = 'Accelerometer not available on this device.';
-    return;
-  }
-  console.log('Accelerometer:', Accelerometer);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the accelerometer permission (using await)
-  const accelerometerPermission = await navigator.permissions.query({
-    name: 'accelerometer'
-  });
-  if (accelerometerPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the accelerometer sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let accelerometer;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new Accelerometer object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Accelerometer/Accelerometer
-     */
-    accelerometer = new Accelerometer({
-      referenceFrame: 'device' // Either 'device' or 'screen'
-    });
-    console.log('accelerometer:', accelerometer);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    accelerometer.addEventListener('error', event => {
-      message.innerText = 'Accelerometer failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    accelerometer.addEventListener('reading', () => {
-      const axisX = accelerometer.x.toFixed(2);
-      const axisY = accelerometer.y.toFixed(2);
-      const axisZ = accelerometer.z.toFixed(2);
-
-      message.innerHTML = `
-        <div>Acceleration along the:</div>
-        <ul>
-          <li>X-axis is <b>${axisX}</b> m/s<sup>2</sup></li>
-          <li>Y-axis is <b>${axisY}</b> m/s<sup>2</sup></li>
-          <li>Z-axis is <b>${axisZ}</b> m/s<sup>2</sup></li>
-        </ul>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'Accelerometer error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      accelerometer.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      accelerometer.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
-}
-
-/**
- * Provides on each reading the acceleration applied to the device along all
- * three axes, but without the contribution of gravity.
- * To use this sensor, the user must grant permission to the 'accelerometer'.
- * https://developer.mozilla.org/en-US/docs/Web/API/LinearAccelerationSensor
- */
-async function handleLinearAccelerationSensor() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('LinearAccelerationSensor' in window)) {
-    output.innerText = 'LinearAccelerationSensor not available on this device.';
-    return;
-  }
-  console.log('LinearAccelerationSensor:', LinearAccelerationSensor);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the accelerometer permission (using await)
-  const accelerometerPermission = await navigator.permissions.query({
-    name: 'accelerometer'
-  });
-  if (accelerometerPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the accelerometer sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let linearAcceleration;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new LinearAccelerationSensor object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/LinearAccelerationSensor/LinearAccelerationSensor
-     */
-    linearAcceleration = new LinearAccelerationSensor({
-      referenceFrame: 'device' // Either 'device' or 'screen'
-    });
-    console.log('linearAcceleration:', linearAcceleration);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    linearAcceleration.addEventListener('error', event => {
-      message.innerText = 'LinearAccelerationSensor failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    linearAcceleration.addEventListener('reading', () => {
-      const axisX = linearAcceleration.x.toFixed(2);
-      const axisY = linearAcceleration.y.toFixed(2);
-      const axisZ = linearAcceleration.z.toFixed(2);
-
-      message.innerHTML = `
-        <div>Linear acceleration along the:</div>
-        <ul>
-          <li>X-axis is <b>${axisX}</b> m/s<sup>2</sup></li>
-          <li>Y-axis is <b>${axisY}</b> m/s<sup>2</sup></li>
-          <li>Z-axis is <b>${axisZ}</b> m/s<sup>2</sup></li>
-        </ul>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'LinearAccelerationSensor error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      linearAcceleration.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      linearAcceleration.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
-}
-
-/**
- * Provides on each reading the angular velocity of the device along all three axes.
- * To use this sensor, the user must grant permission to the 'gyroscope' device sensor.
- * https://developer.mozilla.org/en-US/docs/Web/API/Gyroscope
- */
-async function handleGyroscope() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('Gyroscope' in window)) {
-    output.innerText = 'Gyroscope not available on this device.';
-    return;
-  }
-  console.log('Gyroscope:', Gyroscope);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the gyroscope permission (using await)
-  const gyroscopePermission = await navigator.permissions.query({
-    name: 'gyroscope'
-  });
-  if (gyroscopePermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the gyroscope sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let gyroscope;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new Gyroscope object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Gyroscope/Gyroscope
-     */
-    gyroscope = new Gyroscope({
-      referenceFrame: 'device' // Either 'device' or 'screen'
-    });
-    console.log('gyroscope:', gyroscope);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    gyroscope.addEventListener('error', event => {
-      message.innerText = 'Gyroscope failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    gyroscope.addEventListener('reading', () => {
-      const axisX = gyroscope.x.toFixed(2);
-      const axisY = gyroscope.y.toFixed(2);
-      const axisZ = gyroscope.z.toFixed(2);
-
-      message.innerHTML = `
-        <div>Angular velocity along the:</div>
-        <ul>
-          <li>X-axis is <b>${axisX}</b> rad/s</li>
-          <li>Y-axis is <b>${axisY}</b> rad/s</li>
-          <li>Z-axis is <b>${axisZ}</b> rad/s</li>
-        </ul>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'Gyroscope error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      gyroscope.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      gyroscope.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
-}
-
-/**
- * Provides on each reading the gravity applied to the device along all three axes.
- * To use this sensor, the user must grant permission to the 'accelerometer' device sensor.
- * https://developer.mozilla.org/en-US/docs/Web/API/GravitySensor
- */
-async function handleGravitySensor() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('GravitySensor' in window)) {
-    output.innerText = 'GravitySensor not available on this device.';
-    return;
-  }
-  console.log('GravitySensor:', GravitySensor);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the accelerometer permission (using await)
-  const accelerometerPermission = await navigator.permissions.query({
-    name: 'accelerometer'
-  });
-  if (accelerometerPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the accelerometer sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let gravity;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new GravitySensor object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/GravitySensor/GravitySensor
-     */
-    gravity = new GravitySensor();
-    console.log('gravity:', gravity);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    gravity.addEventListener('error', event => {
-      message.innerText = 'GravitySensor failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    gravity.addEventListener('reading', () => {
-      const axisX = gravity.x.toFixed(2);
-      const axisY = gravity.y.toFixed(2);
-      const axisZ = gravity.z.toFixed(2);
-
-      message.innerHTML = `
-        <div>Gravity along the:</div>
-        <ul>
-          <li>X-axis is <b>${axisX}</b> m/s<sup>2</sup></li>
-          <li>Y-axis is <b>${axisY}</b> m/s<sup>2</sup></li>
-          <li>Z-axis is <b>${axisZ}</b> m/s<sup>2</sup></li>
-        </ul>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'GravitySensor error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      gravity.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      gravity.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
-}
-
-/**
- * Provides information about the magnetic field as detected by the device's primary magnetometer sensor.
- * To use this sensor, the user must grant permission to the 'magnetometer' device sensor.
- * https://developer.mozilla.org/en-US/docs/Web/API/Magnetometer
- * Note: this is an experimental feature and it not enabled by default.
- */
-async function handleMagnetometer() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('Magnetometer' in window)) {
-    output.innerText = 'Magnetometer not available on this device.';
-    return;
-  }
-  console.log('Magnetometer:', Magnetometer);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the magnetometer permission (using await)
-  const magnetometerPermission = await navigator.permissions.query({
-    name: 'magnetometer'
-  });
-  if (magnetometerPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the magnetometer sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let magnetometer;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new Magnetometer object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Magnetometer/Magnetometer
-     */
-    magnetometer = new Magnetometer({
-      referenceFrame: 'device' // Either 'device' or 'screen'
-    });
-    console.log('magnetometer:', magnetometer);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    magnetometer.addEventListener('error', event => {
-      message.innerText = 'Magnetometer failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    magnetometer.addEventListener('reading', () => {
-      const axisX = magnetometer.x.toFixed(2);
-      const axisY = magnetometer.y.toFixed(2);
-      const axisZ = magnetometer.z.toFixed(2);
-
-      message.innerHTML = `
-        <div>Magnetic field along the:</div>
-        <ul>
-          <li>X-axis is <b>${axisX}</b></li>
-          <li>Y-axis is <b>${axisY}</b></li>
-          <li>Z-axis is <b>${axisZ}</b></li>
-        </ul>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'Magnetometer error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      magnetometer.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      magnetometer.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
-}
-
-/**
- * Provides information about the current light level or illuminance of the ambient light around the hosting device.
- * To use this sensor, the user must grant permission to the 'ambient-light-sensor' device sensor.
- * https://developer.mozilla.org/en-US/docs/Web/API/AmbientLightSensor
- * Note: this is an experimental feature and it not enabled by default.
- */
-async function handleAmbientLightSensor() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('AmbientLightSensor' in window)) {
-    output.innerText = 'AmbientLightSensor not available on this device.';
-    return;
-  }
-  console.log('AmbientLightSensor:', AmbientLightSensor);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the ambient-light-sensor permission (using await)
-  const ambientLightPermission = await navigator.permissions.query({
-    name: 'ambient-light-sensor'
-  });
-  if (ambientLightPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the ambient light sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let ambientLight;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new AmbientLightSensor object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/AmbientLightSensor/AmbientLightSensor
-     */
-    ambientLight = new AmbientLightSensor();
-    console.log('ambientLight:', ambientLight);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    ambientLight.addEventListener('error', event => {
-      message.innerText = 'AmbientLightSensor failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    ambientLight.addEventListener('reading', () => {
-      message.innerHTML = `
-        <div>Current light level: ${sensor.illuminance}</div>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'AmbientLightSensor error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      ambientLight.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      ambientLight.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
-}
-
-/**
- * Describes the device's physical orientation in relation to the Earth's reference coordinate system.
- * To use this sensor, the user must grant permission to the 'accelerometer', 'gyroscope', and 'magnetometer' 
- */
-async function handleAbsoluteOrientationSensor() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('AbsoluteOrientationSensor' in window)) {
-    output.innerText = 'AbsoluteOrientationSensor not available on this device.';
-    return;
-  }
-  console.log('AbsoluteOrientationSensor:', AbsoluteOrientationSensor);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the accelerometer permission (using await)
-  const accelerometerPermission = await navigator.permissions.query({
-    name: 'accelerometer'
-  });
-  if (accelerometerPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the accelerometer sensor.';
-    return;
-  }
-
-  // Validate the gyroscope permission (using await)
-  const gyroscopePermission = await navigator.permissions.query({
-    name: 'gyroscope'
-  });
-  if (gyroscopePermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the gyroscope sensor.';
-    return;
-  }
-
-  // Validate the magnetometer permission (using await)
-  const magnetometerPermission = await navigator.permissions.query({
-    name: 'magnetometer'
-  });
-  if (magnetometerPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the magnetometer sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let absoluteOrientation;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new AbsoluteOrientationSensor object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/AbsoluteOrientationSensor/AbsoluteOrientationSensor
-     */
-    absoluteOrientation = new AbsoluteOrientationSensor({
-      referenceFrame: 'device' // Either 'device' or 'screen'
-    });
-    console.log('absoluteOrientation:', absoluteOrientation);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    absoluteOrientation.addEventListener('error', event => {
-      message.innerText = 'AbsoluteOrientationSensor failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    absoluteOrientation.addEventListener('reading', () => {
-      let orientation = '';
-      absoluteOrientation.quaternion.forEach((value) => {
-        orientation += `<li>${value.toFixed(15)}</li>`;
-      });
-
-      message.innerHTML = `
-        <div>Absolute orientation: </div>
-        <ul>
-          ${orientation}
-        </ul>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'AbsoluteOrientationSensor error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      absoluteOrientation.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      absoluteOrientation.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
-}
-
-/**
- * Describes the device's physical orientation without regard to the Earth's reference coordinate system.
- * To use this sensor, the user must grant permission to the 'accelerometer', and 'gyroscope'.
- */
-async function handleRelativeOrientationSensor() {
-  console.log('Window:', window);
-
-  // Validates the sensor API
-  if (!('RelativeOrientationSensor' in window)) {
-    output.innerText = 'RelativeOrientationSensor not available on this device.';
-    return;
-  }
-  console.log('RelativeOrientationSensor:', RelativeOrientationSensor);
-
-  // Validates the Permission API
-  if (!('permissions' in navigator)) {
-    output.innerText = 'Permission API not available on this device.';
-    return;
-  }
-
-  // Validate the accelerometer permission (using await)
-  const accelerometerPermission = await navigator.permissions.query({
-    name: 'accelerometer'
-  });
-  if (accelerometerPermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the accelerometer sensor.';
-    return;
-  }
-
-  // Validate the gyroscope permission (using await)
-  const gyroscopePermission = await navigator.permissions.query({
-    name: 'gyroscope'
-  });
-  if (gyroscopePermission.state !== 'granted') {
-    output.innerText = 'You are not autorized to use the gyroscope sensor.';
-    return;
-  }
-
-  // Create the helper elements
-  const buttonStart = document.createElement('button');
-  buttonStart.innerText = 'Start';
-  buttonStart.disabled = true;
-  output.appendChild(buttonStart);
-
-  const buttonStop = document.createElement('button');
-  buttonStop.innerText = 'Stop';
-  buttonStop.disabled = true;
-  output.appendChild(buttonStop);
-
-  const message = document.createElement('div');
-  message.innerText = '';
-  output.appendChild(message);
-
-  // Declare the sensor variable
-  let relativeOrientation;
-
-  /**
-   * Checking for thrown errors when instantiating a sensor object.
-   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-   */
-  try {
-
-    /**
-     * Creates a new RelativeOrientationSensor object.
-     * https://developer.mozilla.org/en-US/docs/Web/API/RelativeOrientationSensor/RelativeOrientationSensor
-     */
-    relativeOrientation = new RelativeOrientationSensor({
-      referenceFrame: 'device' // Either 'device' or 'screen'
-    });
-    console.log('relativeOrientation:', relativeOrientation);
-
-    /**
-     * Listening for errors thrown during its use.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
-     */
-    relativeOrientation.addEventListener('error', event => {
-      message.innerText = 'RelativeOrientationSensor failed: ' + event.error;
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-    });
-
-    /**
-     * The reading event is fired when a new reading is available on a sensor.
-     * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
-     */
-    relativeOrientation.addEventListener('reading', () => {
-      let orientation = '';
-      relativeOrientation.quaternion.forEach((value) => {
-        orientation += `<li>${value.toFixed(15)}</li>`;
-      });
-
-      message.innerHTML = `
-        <div>Relative orientation: </div>
-        <ul>
-          ${orientation}
-        </ul>
-      `;
-    });
-
-    // Enable the start button
-    buttonStart.disabled = false;
-
-  } catch (error) {
-    message.innerText = 'RelativeOrientationSensor error: ' + error;
-  }
-
-  // Start the sensor
-  buttonStart.addEventListener('click', () => {
-    try {
-
-      /**
-       * The start method activates one of the sensors based on Sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
-       */
-      relativeOrientation.start();
-
-      buttonStart.disabled = true;
-      buttonStop.disabled = false;
-    } catch (error) {
-      message.innerText = 'It was not possible to start the sensor: ' + error;
-    }
-  });
-
-  // Stop the sensor
-  buttonStop.addEventListener('click', () => {
-    try {
-
-      /**
-       * The stop method deactivates the current sensor.
-       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
-       */
-      relativeOrientation.stop();
-
-      buttonStart.disabled = false;
-      buttonStop.disabled = true;
-      message.innerHTML += "<div>Sensor stopped!</div>";
-    } catch (error) {
-      message.innerText = 'It was not possible to stop the sensor: ' + error;
-    }
-  });
 }
\ No newline at end of file
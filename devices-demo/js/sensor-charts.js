@@ -0,0 +1,85 @@
+'use strict';
+
+// Time windows offered for the sensor charts, in seconds
+const SENSOR_CHART_WINDOWS = [5, 10, 30, 60];
+
+// One chart per axis of the three-axis sensors
+const SENSOR_CHART_AXES = [
+  { field: 'x', label: 'X-axis', color: '#D9534F' },
+  { field: 'y', label: 'Y-axis', color: '#80CE17' },
+  { field: 'z', label: 'Z-axis', color: '#337AB7' }
+];
+
+/**
+ * Creates the rolling charts of a three-axis sensor controller, with
+ * the window selector and the Pause/Resume button.
+ * Fed by every reading, whether from the sensor or replayed.
+ * The power policy may pause them too, whatever the button says.
+ */
+function mountSensorCharts(controller) {
+  const { unit } = controller.descriptor.chart;
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const selectWindow = document.createElement('select');
+  for (const seconds of SENSOR_CHART_WINDOWS) {
+    const option = document.createElement('option');
+    option.value = seconds;
+    option.text = `Last ${seconds} seconds`;
+    selectWindow.appendChild(option);
+  }
+  selectWindow.value = 10;
+  container.appendChild(selectWindow);
+
+  const buttonPause = document.createElement('button');
+  buttonPause.innerText = 'Pause Charts';
+  container.appendChild(buttonPause);
+
+  const charts = SENSOR_CHART_AXES.map(({ field, label, color }) => {
+    const chart = createTimeSeriesChart({
+      label,
+      unit,
+      color,
+      windowSeconds: Number(selectWindow.value)
+    });
+    container.appendChild(chart.canvas);
+    return { field, chart };
+  });
+
+  let paused = false;
+
+  // Helper function to pause the charts, by the user or to save power
+  function applyPaused() {
+    for (const { chart } of charts) {
+      chart.setPaused(paused || powerPolicy.throttles.pauseCharts);
+    }
+  }
+  applyPaused();
+
+  selectWindow.addEventListener('change', () => {
+    for (const { chart } of charts) {
+      chart.setWindow(Number(selectWindow.value));
+    }
+  });
+
+  buttonPause.addEventListener('click', () => {
+    paused = !paused;
+    buttonPause.innerText = paused ? 'Resume Charts' : 'Pause Charts';
+    applyPaused();
+  });
+
+  controller.readingListeners.push((reading, timestamp) => {
+    for (const { field, chart } of charts) {
+      chart.push(timestamp, reading[field]);
+    }
+  });
+
+  controller.cleanups.push(onPowerPolicyChange(applyPaused));
+  controller.cleanups.push(() => {
+    for (const { chart } of charts) {
+      chart.dispose();
+    }
+  });
+}
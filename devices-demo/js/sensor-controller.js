@@ -0,0 +1,503 @@
+'use strict';
+
+/**
+ * Builds the renderer used by the sensors reporting a reading along all three axes.
+ */
+function renderAxisReading(title, unit) {
+  const suffix = unit ? ` ${unit}` : '';
+
+  return (reading) => `
+    <div>${title}</div>
+    <ul>
+      <li>X-axis is <b>${reading.x.toFixed(2)}</b>${suffix}</li>
+      <li>Y-axis is <b>${reading.y.toFixed(2)}</b>${suffix}</li>
+      <li>Z-axis is <b>${reading.z.toFixed(2)}</b>${suffix}</li>
+    </ul>
+  `;
+}
+
+/**
+ * Builds the renderer used by the orientation sensors, which report a quaternion.
+ */
+function renderQuaternionReading(title) {
+  return (reading) => `
+    <div>${title}</div>
+    <ul>
+      ${reading.quaternion.map((value) => `<li>${value.toFixed(15)}</li>`).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Describes how the user is told about each sensor permission.
+ */
+const SENSOR_PERMISSION_LABELS = {
+  'accelerometer': 'accelerometer sensor',
+  'gyroscope': 'gyroscope sensor',
+  'magnetometer': 'magnetometer sensor',
+  'ambient-light-sensor': 'ambient light sensor'
+};
+
+/**
+ * Describes every sensor handled by the sensor controller, keyed by
+ * the feature selector value.
+ *  - constructorName: the Sensor interface exposed on the window
+ *  - permissions: the permissions the user must grant to use the sensor
+ *  - options: the options given to the sensor constructor
+ *  - fields: the sensor attributes copied into each reading
+ *  - render: returns the HTML written for a reading
+ *  - chart: when set, the x/y/z readings are charted in the given unit
+ *  - orientation: when set, the quaternion is visualised, and zeroable
+ *    tells whether a reference orientation can be set
+ */
+const SENSOR_DESCRIPTORS = {
+
+  /**
+   * Provides on each reading the acceleration applied to the device along all three axes.
+   * https://developer.mozilla.org/en-US/docs/Web/API/Accelerometer
+   */
+  'accelerometer': {
+    constructorName: 'Accelerometer',
+    permissions: ['accelerometer'],
+    options: { referenceFrame: 'device' }, // Either 'device' or 'screen'
+    fields: ['x', 'y', 'z'],
+    render: renderAxisReading('Acceleration along the:', 'm/s<sup>2</sup>'),
+    chart: { unit: 'm/s²' }
+  },
+
+  /**
+   * Provides on each reading the acceleration applied to the device along all
+   * three axes, but without the contribution of gravity.
+   * https://developer.mozilla.org/en-US/docs/Web/API/LinearAccelerationSensor
+   */
+  'linear-acceleration': {
+    constructorName: 'LinearAccelerationSensor',
+    permissions: ['accelerometer'],
+    options: { referenceFrame: 'device' },
+    fields: ['x', 'y', 'z'],
+    render: renderAxisReading('Linear acceleration along the:', 'm/s<sup>2</sup>'),
+    chart: { unit: 'm/s²' }
+  },
+
+  /**
+   * Provides on each reading the angular velocity of the device along all three axes.
+   * https://developer.mozilla.org/en-US/docs/Web/API/Gyroscope
+   */
+  'gyroscope': {
+    constructorName: 'Gyroscope',
+    permissions: ['gyroscope'],
+    options: { referenceFrame: 'device' },
+    fields: ['x', 'y', 'z'],
+    render: renderAxisReading('Angular velocity along the:', 'rad/s'),
+    chart: { unit: 'rad/s' }
+  },
+
+  /**
+   * Provides on each reading the gravity applied to the device along all three axes.
+   * https://developer.mozilla.org/en-US/docs/Web/API/GravitySensor
+   */
+  'gravity': {
+    constructorName: 'GravitySensor',
+    permissions: ['accelerometer'],
+    options: {},
+    fields: ['x', 'y', 'z'],
+    render: renderAxisReading('Gravity along the:', 'm/s<sup>2</sup>'),
+    chart: { unit: 'm/s²' }
+  },
+
+  /**
+   * Provides information about the magnetic field as detected by the device's primary magnetometer sensor.
+   * https://developer.mozilla.org/en-US/docs/Web/API/Magnetometer
+   * Note: this is an experimental feature and it not enabled by default.
+   */
+  'magnetometer': {
+    constructorName: 'Magnetometer',
+    permissions: ['magnetometer'],
+    options: { referenceFrame: 'device' },
+    fields: ['x', 'y', 'z'],
+    render: renderAxisReading('Magnetic field along the:'),
+    chart: { unit: 'µT' }
+  },
+
+  /**
+   * Provides information about the current light level or illuminance of the ambient light around the hosting device.
+   * https://developer.mozilla.org/en-US/docs/Web/API/AmbientLightSensor
+   * Note: this is an experimental feature and it not enabled by default.
+   */
+  'ambient-light': {
+    constructorName: 'AmbientLightSensor',
+    permissions: ['ambient-light-sensor'],
+    options: {},
+    fields: ['illuminance'],
+    render: (reading) => `
+      <div>Current light level: ${reading.illuminance}</div>
+    `
+  },
+
+  /**
+   * Describes the device's physical orientation in relation to the Earth's reference coordinate system.
+   * https://developer.mozilla.org/en-US/docs/Web/API/AbsoluteOrientationSensor
+   */
+  'absolute-orientation': {
+    constructorName: 'AbsoluteOrientationSensor',
+    permissions: ['accelerometer', 'gyroscope', 'magnetometer'],
+    options: { referenceFrame: 'device' },
+    fields: ['quaternion'],
+    render: renderQuaternionReading('Absolute orientation: '),
+    orientation: { zeroable: false }
+  },
+
+  /**
+   * Describes the device's physical orientation without regard to the Earth's reference coordinate system.
+   * https://developer.mozilla.org/en-US/docs/Web/API/RelativeOrientationSensor
+   */
+  'relative-orientation': {
+    constructorName: 'RelativeOrientationSensor',
+    permissions: ['accelerometer', 'gyroscope'],
+    options: { referenceFrame: 'device' },
+    fields: ['quaternion'],
+    render: renderQuaternionReading('Relative orientation: '),
+    orientation: { zeroable: true }
+  }
+};
+
+/**
+ * Copies the descriptor fields from the sensor into a plain reading object.
+ * The quaternion is copied as well, since the sensor reuses its array.
+ */
+function readSensor(sensor, fields) {
+  const reading = {};
+  for (const field of fields) {
+    const value = sensor[field];
+    reading[field] = Array.isArray(value) ? Array.from(value) : value;
+  }
+  return reading;
+}
+
+/**
+ * Merges the route parameters (frequency, referenceFrame) into the
+ * descriptor options. Invalid values are ignored.
+ */
+function resolveSensorOptions(descriptor, params = {}) {
+  const options = { ...descriptor.options };
+
+  const frequency = Number(params.frequency);
+  if (frequency > 0) {
+    options.frequency = frequency;
+  }
+
+  // Only the sensors created with a reference frame accept one
+  if ('referenceFrame' in options && ['device', 'screen'].includes(params.referenceFrame)) {
+    options.referenceFrame = params.referenceFrame;
+  }
+
+  return options;
+}
+
+/**
+ * Returns the route parameters reproducing the given options,
+ * leaving out the ones matching the descriptor defaults.
+ */
+function sensorRouteParams(descriptor, options) {
+  const params = {};
+
+  if (options.frequency) {
+    params.frequency = options.frequency;
+  }
+  if (options.referenceFrame && options.referenceFrame !== descriptor.options.referenceFrame) {
+    params.referenceFrame = options.referenceFrame;
+  }
+
+  return params;
+}
+
+/**
+ * Handles any of the sensors listed in SENSOR_DESCRIPTORS.
+ * Accepts the route parameters described in resolveSensorOptions.
+ * Returns the disposer that stops the sensor.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs
+ */
+function handleSensor(sensorId, params) {
+  const descriptor = SENSOR_DESCRIPTORS[sensorId];
+
+  // State shared by the controller and its disposer
+  const controller = {
+    id: sensorId,
+    descriptor,
+    options: resolveSensorOptions(descriptor, params),
+    sensor: null,
+    message: null, // Element displaying the readings
+    readingListeners: [], // Called with each reading and its epoch timestamp
+    cleanups: [], // Called by the disposer
+    replaying: false,
+    disposed: false
+  };
+  mountSensor(controller);
+
+  // Disposer: stops the sensor, and any pending setup
+  return () => {
+    controller.disposed = true;
+    if (controller.sensor) {
+      controller.sensor.stop();
+    }
+    for (const cleanup of controller.cleanups) {
+      cleanup();
+    }
+  };
+}
+
+/**
+ * Displays a reading, either from the sensor or replayed, and hands
+ * it over to the reading listeners.
+ */
+function showSensorReading(controller, reading, timestamp) {
+  controller.message.innerHTML = controller.descriptor.render(reading);
+
+  for (const listener of controller.readingListeners) {
+    listener(reading, timestamp);
+  }
+}
+
+/**
+ * Creates the element displaying the readings, followed by the
+ * charts or the orientation view when the sensor has some.
+ */
+function mountSensorDisplay(controller) {
+  const message = document.createElement('div');
+  message.innerText = '';
+  output.appendChild(message);
+  controller.message = message;
+
+  if (controller.descriptor.chart) {
+    mountSensorCharts(controller);
+  }
+  if (controller.descriptor.orientation) {
+    mountOrientationView(controller);
+  }
+  return message;
+}
+
+/**
+ * Explains why the sensor can't be used, and still offers to replay
+ * a recorded session in place of the live readings.
+ */
+function mountUnavailableSensor(controller, text) {
+  output.innerText = text;
+
+  mountSensorDisplay(controller);
+  mountSensorReplay(controller);
+}
+
+/**
+ * Validates the sensor and opens its permission gate, then creates the
+ * Start/Stop buttons, the settings, and renders every reading.
+ * Gives up silently once the controller has been disposed.
+ */
+async function mountSensor(controller) {
+  console.log('Window:', window);
+
+  const { descriptor } = controller;
+  const { constructorName } = descriptor;
+
+  // Validates the sensor API
+  if (!(constructorName in window)) {
+    mountUnavailableSensor(controller, `${constructorName} not available on this device.`);
+    return;
+  }
+  const SensorConstructor = window[constructorName];
+  console.log(`${constructorName}:`, SensorConstructor);
+
+  // Validates the Permission API
+  if (!('permissions' in navigator)) {
+    mountUnavailableSensor(controller, 'Permission API not available on this device.');
+    return;
+  }
+
+  /**
+   * Opens the permission gate: granted, prompt (asked when the sensor
+   * starts) or denied, and follows the changes of the permissions.
+   */
+  const gate = await openPermissionGate(descriptor.permissions, applyPermissionState);
+  if (controller.disposed) {
+    gate.close();
+    return;
+  }
+  controller.cleanups.push(() => gate.close());
+
+  // Create the helper elements
+  const buttonStart = document.createElement('button');
+  buttonStart.innerText = 'Start';
+  buttonStart.disabled = true;
+  output.appendChild(buttonStart);
+
+  const buttonStop = document.createElement('button');
+  buttonStop.innerText = 'Stop';
+  buttonStop.disabled = true;
+  output.appendChild(buttonStop);
+
+  const permissionNotice = document.createElement('div');
+  permissionNotice.className = 'notice';
+  output.appendChild(permissionNotice);
+
+  // Include the frequency and reference frame controls
+  mountSensorSettings(controller, applySensorOptions);
+
+  const message = mountSensorDisplay(controller);
+
+  // Include the reading recorder and the session replay
+  mountSensorRecorder(controller);
+  mountSensorReplay(controller);
+
+  // Whether the user started the sensor
+  let running = false;
+
+  // Helper function to enable the buttons matching the sensor state
+  function refreshButtons() {
+    buttonStart.disabled = running || !controller.sensor || gate.state() === 'denied';
+    buttonStop.disabled = !running;
+  }
+
+  // Helper function to write the permission notice, and lock the sensor when denied
+  function applyPermissionState() {
+    const labels = (state) => gate.namesWithState(state)
+      .map((name) => SENSOR_PERMISSION_LABELS[name])
+      .join(' and ');
+
+    switch (gate.state()) {
+      case 'granted':
+        permissionNotice.innerText = '';
+        break;
+
+      case 'prompt':
+        permissionNotice.innerText = `Press Start to be asked for the use of the ${labels('prompt')}.`;
+        break;
+
+      case 'denied':
+        permissionNotice.innerText = `You are not authorized to use the ${labels('denied')}. ${sensorPermissionGuidance()}`;
+        if (running) {
+          controller.sensor.stop();
+          running = false;
+        }
+        break;
+    }
+    refreshButtons();
+  }
+
+  /**
+   * Creates the sensor with the controller options.
+   * Checking for thrown errors when instantiating a sensor object.
+   * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
+   */
+  function createSensor() {
+    try {
+
+      /**
+       * Creates a new sensor object from its constructor.
+       * e.g. https://developer.mozilla.org/en-US/docs/Web/API/Accelerometer/Accelerometer
+       */
+      const sensor = new SensorConstructor(powerAdjustedSensorOptions(controller.options));
+      controller.sensor = sensor;
+      console.log('sensor:', sensor);
+
+      /**
+       * Listening for errors thrown during its use, e.g. a NotAllowedError
+       * when the permission is refused.
+       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#defensive_programming
+       */
+      sensor.addEventListener('error', event => {
+        running = false;
+        message.innerText = `${constructorName} failed: ` + event.error;
+        refreshButtons();
+      });
+
+      /**
+       * The reading event is fired when a new reading is available on a sensor.
+       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/reading_event
+       */
+      sensor.addEventListener('reading', () => {
+
+        // The replayed session has the display meanwhile
+        if (controller.replaying) {
+          return;
+        }
+
+        // Sensor.timestamp is relative to the time origin of the page
+        const reading = readSensor(sensor, descriptor.fields);
+        showSensorReading(controller, reading, performance.timeOrigin + sensor.timestamp);
+      });
+
+    } catch (error) {
+      controller.sensor = null;
+      message.innerText = `${constructorName} error: ` + error;
+    }
+    refreshButtons();
+  }
+
+  /**
+   * Starts the sensor. When the permission is still to be asked,
+   * starting the sensor is what prompts the user.
+   */
+  function startSensor() {
+    try {
+
+      /**
+       * The start method activates one of the sensors based on Sensor.
+       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/start
+       */
+      controller.sensor.start();
+      running = true;
+    } catch (error) {
+      message.innerText = 'It was not possible to start the sensor: ' + error;
+    }
+    refreshButtons();
+  }
+
+  /**
+   * Recreates the sensor with new options, since they are only
+   * read by the constructor. A running sensor is started again.
+   */
+  function applySensorOptions(options) {
+    const wasRunning = running;
+    if (controller.sensor) {
+      controller.sensor.stop();
+    }
+    running = false;
+
+    controller.options = options;
+    createSensor();
+    if (wasRunning && controller.sensor) {
+      startSensor();
+    }
+  }
+
+  createSensor();
+  applyPermissionState();
+
+  // Recreate the sensor when the power policy caps its frequency, or lifts the cap
+  let throttled = powerPolicy.throttles.sensorFrequency;
+  controller.cleanups.push(onPowerPolicyChange((throttles) => {
+    if (throttles.sensorFrequency !== throttled) {
+      throttled = throttles.sensorFrequency;
+      applySensorOptions(controller.options);
+    }
+  }));
+
+  buttonStart.addEventListener('click', startSensor);
+
+  // Stop the sensor
+  buttonStop.addEventListener('click', () => {
+    try {
+
+      /**
+       * The stop method deactivates the current sensor.
+       * https://developer.mozilla.org/en-US/docs/Web/API/Sensor/stop
+       */
+      controller.sensor.stop();
+      running = false;
+      message.innerHTML += "<div>Sensor stopped!</div>";
+    } catch (error) {
+      message.innerText = 'It was not possible to stop the sensor: ' + error;
+    }
+    refreshButtons();
+  });
+}
@@ -0,0 +1,159 @@
+'use strict';
+
+// Stops the recording past this many samples (about 10 minutes at 60 Hz)
+const RECORDER_MAX_SAMPLES = 36000;
+
+/**
+ * Returns the columns of a recorded sample, as written in the CSV export.
+ * The quaternion is split into its x, y, z and w components.
+ */
+function sessionColumns(fields) {
+  const columns = ['timestamp'];
+  for (const field of fields) {
+    if (field === 'quaternion') {
+      columns.push('qx', 'qy', 'qz', 'qw');
+    }
+    else {
+      columns.push(field);
+    }
+  }
+  return columns;
+}
+
+/**
+ * Flattens a recorded sample into the values of its CSV columns.
+ */
+function sampleToRow(sample, fields) {
+  const row = [sample.timestamp];
+  for (const field of fields) {
+    if (field === 'quaternion') {
+      row.push(...sample.quaternion);
+    }
+    else {
+      row.push(sample[field]);
+    }
+  }
+  return row;
+}
+
+/**
+ * Serializes a recorded session as CSV, one sample per line.
+ */
+function sessionToCSV(session) {
+  const lines = [sessionColumns(session.fields).join(',')];
+  for (const sample of session.samples) {
+    lines.push(sampleToRow(sample, session.fields).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes a recorded session as JSON.
+ * The session keeps the sensor id, its options and fields, so it can be replayed.
+ */
+function sessionToJSON(session) {
+  return JSON.stringify(session, null, 2);
+}
+
+/**
+ * Creates the recorder of a sensor controller: the Record/Stop buttons,
+ * the sample count and duration, and the CSV/JSON exports.
+ * Every reading of the sensor is timestamped and buffered while recording.
+ */
+function mountSensorRecorder(controller) {
+  const { id, descriptor } = controller;
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const buttonRecord = document.createElement('button');
+  buttonRecord.innerText = 'Record';
+  container.appendChild(buttonRecord);
+
+  const buttonStopRecording = document.createElement('button');
+  buttonStopRecording.innerText = 'Stop Recording';
+  buttonStopRecording.disabled = true;
+  container.appendChild(buttonStopRecording);
+
+  const buttonExportCSV = document.createElement('button');
+  buttonExportCSV.innerText = 'Export CSV';
+  buttonExportCSV.disabled = true;
+  container.appendChild(buttonExportCSV);
+
+  const buttonExportJSON = document.createElement('button');
+  buttonExportJSON.innerText = 'Export JSON';
+  buttonExportJSON.disabled = true;
+  container.appendChild(buttonExportJSON);
+
+  const status = document.createElement('div');
+  status.innerText = 'Press Record to capture the readings.';
+  container.appendChild(status);
+
+  let session = null;
+  let recording = false;
+
+  // Helper function to write the sample count and duration
+  function writeStatus() {
+    const { samples } = session;
+    const duration = samples.length > 1
+      ? (samples[samples.length - 1].timestamp - samples[0].timestamp) / 1000
+      : 0;
+
+    status.innerText = `${recording ? 'Recording' : 'Recorded'}: ${samples.length} samples, ${duration.toFixed(1)} seconds.`;
+  }
+
+  function stopRecording() {
+    recording = false;
+    buttonRecord.disabled = false;
+    buttonStopRecording.disabled = true;
+    buttonExportCSV.disabled = session.samples.length === 0;
+    buttonExportJSON.disabled = session.samples.length === 0;
+    writeStatus();
+  }
+
+  buttonRecord.addEventListener('click', () => {
+    session = {
+      sensor: id,
+      constructorName: descriptor.constructorName,
+      options: controller.options,
+      fields: descriptor.fields,
+      startedAt: new Date().toISOString(),
+      samples: []
+    };
+    recording = true;
+
+    buttonRecord.disabled = true;
+    buttonStopRecording.disabled = false;
+    buttonExportCSV.disabled = true;
+    buttonExportJSON.disabled = true;
+    writeStatus();
+  });
+
+  buttonStopRecording.addEventListener('click', stopRecording);
+
+  buttonExportCSV.addEventListener('click', () => {
+    const filename = `${id}-${fileTimestamp(new Date(session.startedAt))}.csv`;
+    downloadFile(filename, 'text/csv', sessionToCSV(session));
+  });
+
+  buttonExportJSON.addEventListener('click', () => {
+    const filename = `${id}-${fileTimestamp(new Date(session.startedAt))}.json`;
+    downloadFile(filename, 'application/json', sessionToJSON(session));
+  });
+
+  // Buffers the readings while recording
+  controller.readingListeners.push((reading, timestamp) => {
+    if (!recording) {
+      return;
+    }
+
+    session.samples.push({ timestamp, ...reading });
+    if (session.samples.length >= RECORDER_MAX_SAMPLES) {
+      stopRecording();
+      status.innerText += ' The recording limit was reached.';
+      return;
+    }
+    writeStatus();
+  });
+}
@@ -0,0 +1,216 @@
+'use strict';
+
+// Playback speeds offered for the replay
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Parses a session exported as CSV by the sensor recorder.
+ * The columns must match the fields of the given sensor.
+ */
+function parseSessionCSV(text, descriptor) {
+  const lines = text.trim().split(/\r?\n/);
+  const header = lines.shift().split(',').map((column) => column.trim());
+  const columns = sessionColumns(descriptor.fields);
+
+  if (header.join(',') !== columns.join(',')) {
+    throw new Error(`expected the columns ${columns.join(', ')}`);
+  }
+
+  const samples = lines.map((line) => {
+    // An empty cell is a missing value, not 0
+    const values = line.split(',').map((cell) => (cell.trim() === '' ? NaN : Number(cell)));
+    const sample = { timestamp: values[0] };
+    let index = 1;
+
+    for (const field of descriptor.fields) {
+      if (field === 'quaternion') {
+        sample.quaternion = values.slice(index, index + 4);
+        index += 4;
+      }
+      else {
+        sample[field] = values[index];
+        index++;
+      }
+    }
+    return sample;
+  });
+
+  return { fields: descriptor.fields, samples };
+}
+
+/**
+ * Parses a session exported as JSON by the sensor recorder.
+ * The session fields must match the fields of the given sensor.
+ */
+function parseSessionJSON(text, descriptor) {
+  const session = JSON.parse(text);
+
+  if (!session || !Array.isArray(session.samples) || !Array.isArray(session.fields)) {
+    throw new Error('not a recorded sensor session');
+  }
+  if (session.fields.join(',') !== descriptor.fields.join(',')) {
+    throw new Error(`expected the fields ${descriptor.fields.join(', ')}`);
+  }
+
+  return session;
+}
+
+/**
+ * Checks that every sample holds a timestamp and finite readings, with
+ * the four components of a quaternion, and sorts them chronologically.
+ */
+function validateSessionSamples(session) {
+  if (session.samples.length === 0) {
+    throw new Error('the session has no samples');
+  }
+
+  for (const sample of session.samples) {
+    const values = [sample.timestamp];
+    for (const field of session.fields) {
+      if (field === 'quaternion' && !(Array.isArray(sample.quaternion) && sample.quaternion.length === 4)) {
+        throw new Error('the session has invalid samples');
+      }
+      values.push(...[].concat(sample[field]));
+    }
+    if (!values.every(Number.isFinite)) {
+      throw new Error('the session has invalid samples');
+    }
+  }
+
+  session.samples.sort((a, b) => a.timestamp - b.timestamp);
+  return session;
+}
+
+/**
+ * Creates the replay of a sensor controller: loads a session exported
+ * as JSON or CSV, then plays it through the reading display at its
+ * original or scaled speed.
+ */
+function mountSensorReplay(controller) {
+  const { descriptor } = controller;
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const inputFile = document.createElement('input');
+  inputFile.type = 'file';
+  inputFile.accept = '.json,.csv,application/json,text/csv';
+  inputFile.hidden = true;
+  container.appendChild(inputFile);
+
+  const buttonLoad = document.createElement('button');
+  buttonLoad.innerText = 'Load Session';
+  container.appendChild(buttonLoad);
+
+  const selectSpeed = document.createElement('select');
+  for (const speed of REPLAY_SPEEDS) {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.text = speed === 1 ? 'Original speed' : `${speed}x speed`;
+    selectSpeed.appendChild(option);
+  }
+  selectSpeed.value = 1;
+  container.appendChild(selectSpeed);
+
+  const buttonPlay = document.createElement('button');
+  buttonPlay.innerText = 'Replay';
+  buttonPlay.disabled = true;
+  container.appendChild(buttonPlay);
+
+  const buttonStopReplay = document.createElement('button');
+  buttonStopReplay.innerText = 'Stop Replay';
+  buttonStopReplay.disabled = true;
+  container.appendChild(buttonStopReplay);
+
+  const status = document.createElement('div');
+  status.innerText = 'Load a recorded session to replay it.';
+  container.appendChild(status);
+
+  let session = null;
+  let timer = null;
+
+  function stopReplay(text) {
+    clearTimeout(timer);
+    timer = null;
+    controller.replaying = false;
+
+    buttonLoad.disabled = false;
+    buttonPlay.disabled = false;
+    buttonStopReplay.disabled = true;
+    status.innerText = text;
+  }
+
+  buttonLoad.addEventListener('click', () => {
+    inputFile.click();
+  });
+
+  // Loads the selected session
+  inputFile.addEventListener('change', () => {
+    const file = inputFile.files[0];
+    inputFile.value = '';
+    if (!file) {
+      return;
+    }
+
+    file.text()
+      .then((text) => {
+        const parsed = file.name.toLowerCase().endsWith('.csv')
+          ? parseSessionCSV(text, descriptor)
+          : parseSessionJSON(text, descriptor);
+        session = validateSessionSamples(parsed);
+
+        const { samples } = session;
+        const duration = (samples[samples.length - 1].timestamp - samples[0].timestamp) / 1000;
+        const origin = session.sensor ? ` (${session.sensor})` : '';
+
+        buttonPlay.disabled = false;
+        status.innerText = `Loaded ${file.name}${origin}: ${samples.length} samples, ${duration.toFixed(1)} seconds.`;
+      })
+      .catch((error) => {
+        status.innerText = 'It was not possible to load the session: ' + error.message;
+      });
+  });
+
+  // Plays the session, keeping the original time between the samples
+  buttonPlay.addEventListener('click', () => {
+    const { samples } = session;
+    const speed = Number(selectSpeed.value);
+    const firstTimestamp = samples[0].timestamp;
+    const startedAt = performance.now();
+    let index = 0;
+
+    controller.replaying = true;
+    buttonLoad.disabled = true;
+    buttonPlay.disabled = true;
+    buttonStopReplay.disabled = false;
+
+    // Shows every sample due, then waits for the next one
+    function step() {
+      const elapsed = (performance.now() - startedAt) * speed;
+
+      while (index < samples.length && samples[index].timestamp - firstTimestamp <= elapsed) {
+        const reading = readSensor(samples[index], descriptor.fields);
+        showSensorReading(controller, reading, performance.timeOrigin + performance.now());
+        index++;
+      }
+      status.innerText = `Replaying: ${index} of ${samples.length} samples.`;
+
+      if (index >= samples.length) {
+        stopReplay('Replay finished.');
+        return;
+      }
+      const delay = (samples[index].timestamp - firstTimestamp - elapsed) / speed;
+      timer = setTimeout(step, delay);
+    }
+    step();
+  });
+
+  buttonStopReplay.addEventListener('click', () => {
+    stopReplay('Replay stopped.');
+  });
+
+  controller.cleanups.push(() => {
+    clearTimeout(timer);
+  });
+}
@@ -0,0 +1,123 @@
+'use strict';
+
+// Frequencies offered for the sensors, in Hz
+const SENSOR_FREQUENCIES = [1, 5, 10, 20, 30, 60, 120];
+
+// The sample rate is measured over the readings of this period, in milliseconds
+const SAMPLE_RATE_PERIOD = 2000;
+
+/**
+ * Creates the settings of a sensor controller: the frequency and, for
+ * the sensors accepting one, the reference frame. Changing them calls
+ * applyOptions with the new options and updates the route to match.
+ * Also shows the measured sample rate next to the requested one.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Sensor_APIs#sensor_options
+ */
+function mountSensorSettings(controller, applyOptions) {
+  const { id, descriptor } = controller;
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const selectFrequency = document.createElement('select');
+  const frequencies = [...SENSOR_FREQUENCIES];
+  if (controller.options.frequency && !frequencies.includes(controller.options.frequency)) {
+    frequencies.push(controller.options.frequency);
+    frequencies.sort((a, b) => a - b);
+  }
+
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.text = 'Default frequency';
+  selectFrequency.appendChild(defaultOption);
+
+  for (const frequency of frequencies) {
+    const option = document.createElement('option');
+    option.value = frequency;
+    option.text = `${frequency} Hz`;
+    selectFrequency.appendChild(option);
+  }
+  selectFrequency.value = controller.options.frequency || '';
+  container.appendChild(selectFrequency);
+
+  // Only the sensors created with a reference frame accept one
+  let selectReferenceFrame = null;
+  if ('referenceFrame' in descriptor.options) {
+    selectReferenceFrame = document.createElement('select');
+    for (const [value, text] of [['device', 'Device frame'], ['screen', 'Screen frame']]) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.text = text;
+      selectReferenceFrame.appendChild(option);
+    }
+    selectReferenceFrame.value = controller.options.referenceFrame;
+    container.appendChild(selectReferenceFrame);
+  }
+
+  const meter = document.createElement('div');
+  container.appendChild(meter);
+
+  let timestamps = [];
+  let lastUpdate = 0;
+
+  // Helper function to write the measured and requested sample rates
+  function writeSampleRate() {
+    const requested = controller.options.frequency
+      ? `<b>${controller.options.frequency}</b> Hz`
+      : 'the default';
+    const { frequency } = powerAdjustedSensorOptions(controller.options);
+    const lowered = frequency !== controller.options.frequency
+      ? `, lowered to <b>${frequency}</b> Hz to save power`
+      : '';
+
+    // Readings sharing a single timestamp give no rate yet
+    const elapsed = timestamps[timestamps.length - 1] - timestamps[0];
+    if (timestamps.length < 2 || elapsed <= 0) {
+      meter.innerHTML = `Sample rate: waiting for readings, requested ${requested}${lowered}.`;
+      return;
+    }
+
+    const actual = (timestamps.length - 1) * 1000 / elapsed;
+    meter.innerHTML = `Sample rate: <b>${actual.toFixed(1)}</b> Hz, requested ${requested}${lowered}.`;
+  }
+  writeSampleRate();
+
+  function onSettingsChange() {
+    const options = { ...descriptor.options };
+    if (selectFrequency.value) {
+      options.frequency = Number(selectFrequency.value);
+    }
+    if (selectReferenceFrame) {
+      options.referenceFrame = selectReferenceFrame.value;
+    }
+
+    timestamps = [];
+    applyOptions(options);
+    writeSampleRate();
+
+    // Keep the route in sync, without remounting the feature
+    history.replaceState(null, '', buildRoute(id, sensorRouteParams(descriptor, options)));
+  }
+
+  selectFrequency.addEventListener('change', onSettingsChange);
+  if (selectReferenceFrame) {
+    selectReferenceFrame.addEventListener('change', onSettingsChange);
+  }
+
+  controller.cleanups.push(onPowerPolicyChange(writeSampleRate));
+
+  // Measures the rate from the reading timestamps
+  controller.readingListeners.push((reading, timestamp) => {
+    timestamps.push(timestamp);
+    while (timestamp - timestamps[0] > SAMPLE_RATE_PERIOD) {
+      timestamps.shift();
+    }
+
+    // Limit the updates to a couple per second
+    if (timestamp - lastUpdate > 500) {
+      lastUpdate = timestamp;
+      writeSampleRate();
+    }
+  });
+}
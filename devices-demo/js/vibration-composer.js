@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * The vibration patterns offered by the composer, in milliseconds:
+ * vibrations at the even positions, pauses at the odd ones.
+ */
+const VIBRATION_PRESETS = {
+  'Multiple vibration': [200, 100, 200, 300, 600],
+  'Notification': [200, 100, 200],
+  'Heartbeat': [100, 100, 150, 650, 100, 100, 150, 650],
+  'SOS': morseToPattern(textToMorse('SOS'), 100)
+};
+
+// Browsers ignore the segments past this duration, in milliseconds
+const VIBRATION_MAX_SEGMENT = 10000;
+
+// Browsers drop the segments past this count (Blink keeps 99, Firefox 128)
+const VIBRATION_MAX_SEGMENTS = 99;
+
+// The custom patterns are kept in the local storage under this key
+const VIBRATION_PATTERNS_KEY = 'vibration-patterns';
+
+/**
+ * Parses a pattern typed as text, e.g. "200,100,200".
+ * Throws an error telling what is wrong.
+ */
+function parseVibrationPattern(text) {
+  const values = text.split(/[\s,]+/).filter(Boolean);
+  if (values.length === 0) {
+    throw new Error('The pattern is empty.');
+  }
+  if (values.length > VIBRATION_MAX_SEGMENTS) {
+    throw new Error(`The pattern has more than ${VIBRATION_MAX_SEGMENTS} segments.`);
+  }
+
+  return values.map((value) => {
+    const duration = Number(value);
+    if (!Number.isInteger(duration) || duration < 0 || duration > VIBRATION_MAX_SEGMENT) {
+      throw new Error(`"${value}" is not a duration between 0 and ${VIBRATION_MAX_SEGMENT} ms.`);
+    }
+    return duration;
+  });
+}
+
+/**
+ * Returns the total duration of a pattern, in milliseconds.
+ */
+function vibrationPatternDuration(pattern) {
+  return pattern.reduce((sum, duration) => sum + duration, 0);
+}
+
+/**
+ * Returns the custom patterns saved by the user, by name.
+ */
+function loadVibrationPatterns() {
+  try {
+    return JSON.parse(localStorage.getItem(VIBRATION_PATTERNS_KEY)) || {};
+  } catch (error) {
+    console.log('Vibration patterns failed to load:', error);
+    return {};
+  }
+}
+
+/**
+ * Persists the custom patterns.
+ */
+function saveVibrationPatterns(patterns) {
+  try {
+    localStorage.setItem(VIBRATION_PATTERNS_KEY, JSON.stringify(patterns));
+  } catch (error) {
+    console.log('Vibration patterns failed to save:', error);
+  }
+}
+
+/**
+ * Creates the vibration pattern composer: the presets and the saved
+ * patterns, the segment editor with its text input and timeline, and
+ * the Play/Cancel buttons with the loop mode.
+ * Returns its disposer.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/vibrate
+ */
+function mountVibrationComposer() {
+
+  // Create the helper elements
+  const container = document.createElement('div');
+  output.appendChild(container);
+
+  const selectPattern = document.createElement('select');
+  container.appendChild(selectPattern);
+
+  const buttonDelete = document.createElement('button');
+  buttonDelete.innerText = 'Delete Pattern';
+  container.appendChild(buttonDelete);
+
+  const inputPattern = document.createElement('input');
+  inputPattern.type = 'text';
+  inputPattern.placeholder = '200,100,200';
+  container.appendChild(inputPattern);
+
+  const notice = document.createElement('div');
+  notice.className = 'notice';
+  container.appendChild(notice);
+
+  const timeline = document.createElement('div');
+  timeline.className = 'vibration-timeline';
+  container.appendChild(timeline);
+
+  const segments = document.createElement('ol');
+  container.appendChild(segments);
+
+  const buttonAddSegment = document.createElement('button');
+  buttonAddSegment.innerText = 'Add Segment';
+  container.appendChild(buttonAddSegment);
+
+  const buttonPlay = document.createElement('button');
+  buttonPlay.innerText = 'Play';
+  container.appendChild(buttonPlay);
+
+  const buttonCancel = document.createElement('button');
+  buttonCancel.innerText = 'Cancel';
+  container.appendChild(buttonCancel);
+
+  const labelLoop = document.createElement('label');
+  const checkboxLoop = document.createElement('input');
+  checkboxLoop.type = 'checkbox';
+  labelLoop.append(checkboxLoop, ' Loop');
+  container.appendChild(labelLoop);
+
+  const inputName = document.createElement('input');
+  inputName.type = 'text';
+  inputName.placeholder = 'Pattern name';
+  container.appendChild(inputName);
+
+  const buttonSave = document.createElement('button');
+  buttonSave.innerText = 'Save Pattern';
+  container.appendChild(buttonSave);
+
+  let pattern = [...VIBRATION_PRESETS['Notification']];
+  const savedPatterns = loadVibrationPatterns();
+  let loopTimeout = null;
+
+  // Helper function to list the presets, then the saved patterns
+  function writePatternOptions(selected) {
+    selectPattern.innerHTML = '';
+    for (const [label, names] of [['Presets', Object.keys(VIBRATION_PRESETS)], ['Saved', Object.keys(savedPatterns)]]) {
+      if (names.length === 0) {
+        continue;
+      }
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = label;
+      for (const name of names) {
+        const option = document.createElement('option');
+        option.value = `${label}:${name}`;
+        option.text = name;
+        optgroup.appendChild(option);
+      }
+      selectPattern.appendChild(optgroup);
+    }
+    selectPattern.value = selected;
+    buttonDelete.disabled = !selectPattern.value.startsWith('Saved:');
+  }
+
+  // Helper function to write the pattern as text, timeline and segments
+  function writePattern() {
+    inputPattern.value = pattern.join(',');
+    notice.innerText = '';
+
+    const total = vibrationPatternDuration(pattern) || 1;
+    timeline.innerHTML = pattern
+      .map((duration, index) => `<span class="${index % 2 ? 'vibration-off' : 'vibration-on'}" style="flex-grow: ${duration / total}"></span>`)
+      .join('');
+
+    segments.innerHTML = '';
+    pattern.forEach((duration, index) => {
+      const item = document.createElement('li');
+      item.append(index % 2 ? 'Pause ' : 'Vibrate ');
+
+      const inputDuration = document.createElement('input');
+      inputDuration.type = 'number';
+      inputDuration.min = 0;
+      inputDuration.max = VIBRATION_MAX_SEGMENT;
+      inputDuration.value = duration;
+      item.append(inputDuration, ' ms ');
+      inputDuration.addEventListener('change', () => {
+        pattern[index] = Math.min(Math.max(Math.round(Number(inputDuration.value)) || 0, 0), VIBRATION_MAX_SEGMENT);
+        writePattern();
+      });
+
+      // Removes the vibration with its pause, so the next segments keep their roles
+      const buttonRemove = document.createElement('button');
+      buttonRemove.innerText = 'Remove';
+      buttonRemove.title = 'Removes the vibration and the pause after it';
+      buttonRemove.disabled = pattern.length <= 2;
+      item.appendChild(buttonRemove);
+      buttonRemove.addEventListener('click', () => {
+        pattern.splice(index - index % 2, 2);
+        writePattern();
+      });
+
+      segments.appendChild(item);
+    });
+    buttonAddSegment.disabled = pattern.length >= VIBRATION_MAX_SEGMENTS;
+  }
+
+  function cancel() {
+    clearTimeout(loopTimeout);
+    loopTimeout = null;
+    navigator.vibrate(0);
+  }
+
+  function play() {
+    cancel();
+
+    /**
+     * Pulses the vibration hardware on the device.
+     * https://developer.mozilla.org/en-US/docs/Web/API/Navigator/vibrate
+     */
+    if (!navigator.vibrate(pattern)) {
+      notice.innerText = 'The browser refused to vibrate, e.g. before any tap on the page.';
+      return;
+    }
+
+    // Play the pattern again once it's over
+    const duration = vibrationPatternDuration(pattern);
+    if (checkboxLoop.checked && duration > 0) {
+      loopTimeout = setTimeout(play, duration);
+    }
+  }
+
+  selectPattern.addEventListener('change', () => {
+    const [group, name] = selectPattern.value.split(/:(.*)/);
+    pattern = [...(group === 'Saved' ? savedPatterns[name] : VIBRATION_PRESETS[name])];
+    buttonDelete.disabled = group !== 'Saved';
+    writePattern();
+  });
+
+  inputPattern.addEventListener('change', () => {
+    try {
+      pattern = parseVibrationPattern(inputPattern.value);
+      writePattern();
+    } catch (error) {
+      notice.innerText = error.message;
+    }
+  });
+
+  buttonAddSegment.addEventListener('click', () => {
+    pattern.push(200);
+    writePattern();
+  });
+
+  buttonPlay.addEventListener('click', play);
+  buttonCancel.addEventListener('click', cancel);
+
+  checkboxLoop.addEventListener('change', () => {
+    if (!checkboxLoop.checked) {
+      clearTimeout(loopTimeout);
+      loopTimeout = null;
+    }
+  });
+
+  buttonSave.addEventListener('click', () => {
+    const name = inputName.value.trim();
+    if (!name) {
+      notice.innerText = 'Name the pattern to save it.';
+      return;
+    }
+
+    savedPatterns[name] = [...pattern];
+    saveVibrationPatterns(savedPatterns);
+    inputName.value = '';
+    writePatternOptions(`Saved:${name}`);
+  });
+
+  buttonDelete.addEventListener('click', () => {
+    const name = selectPattern.value.replace(/^Saved:/, '');
+    delete savedPatterns[name];
+    saveVibrationPatterns(savedPatterns);
+    writePatternOptions('Presets:Notification');
+  });
+
+  writePatternOptions('Presets:Notification');
+  writePattern();
+
+  // Disposer: cancels the vibration and the loop
+  return cancel;
+}
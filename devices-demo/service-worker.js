@@ -1,3 +1,82 @@
+// Bump the version to precache the assets again and drop the old cache
+const CACHE_VERSION = 18;
+const CACHE_PREFIX = 'device-features-';
+const CACHE_NAME = CACHE_PREFIX + 'v' + CACHE_VERSION;
+
+// Page served to the navigations which can't be answered offline
+const OFFLINE_URL = '/offline.html';
+
+// Endpoints of the network probes, which must always reach the network
+const PROBE_PATH = '/probe/';
+
+// Assets stored at install time, and served from the cache afterwards
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  OFFLINE_URL,
+  '/manifest.json',
+  '/css/styles.css',
+  '/js/helpers.js',
+  '/js/chart.js',
+  '/js/router.js',
+  '/js/permission-gate.js',
+  '/js/sensor-controller.js',
+  '/js/sensor-settings.js',
+  '/js/sensor-charts.js',
+  '/js/orientation-view.js',
+  '/js/sensor-recorder.js',
+  '/js/sensor-replay.js',
+  '/js/geolocation-controller.js',
+  '/js/geolocation-settings.js',
+  '/js/geolocation-tracker.js',
+  '/js/geolocation-map.js',
+  '/js/geofences.js',
+  '/js/battery-history.js',
+  '/js/power-policy.js',
+  '/js/network-monitor.js',
+  '/js/morse-vibration.js',
+  '/js/vibration-composer.js',
+  '/js/app-badge.js',
+  '/js/feature-registry.js',
+  '/js/device-report.js',
+  '/js/feature-support.js',
+  '/js/scripts.js',
+  '/images/logo.png',
+  '/icons/apple-icon-180.png',
+  '/icons/apple-splash-1125-2436.jpg',
+  '/icons/apple-splash-1136-640.jpg',
+  '/icons/apple-splash-1170-2532.jpg',
+  '/icons/apple-splash-1242-2208.jpg',
+  '/icons/apple-splash-1242-2688.jpg',
+  '/icons/apple-splash-1284-2778.jpg',
+  '/icons/apple-splash-1334-750.jpg',
+  '/icons/apple-splash-1536-2048.jpg',
+  '/icons/apple-splash-1620-2160.jpg',
+  '/icons/apple-splash-1668-2224.jpg',
+  '/icons/apple-splash-1668-2388.jpg',
+  '/icons/apple-splash-1792-828.jpg',
+  '/icons/apple-splash-2048-1536.jpg',
+  '/icons/apple-splash-2048-2732.jpg',
+  '/icons/apple-splash-2160-1620.jpg',
+  '/icons/apple-splash-2208-1242.jpg',
+  '/icons/apple-splash-2224-1668.jpg',
+  '/icons/apple-splash-2388-1668.jpg',
+  '/icons/apple-splash-2436-1125.jpg',
+  '/icons/apple-splash-2532-1170.jpg',
+  '/icons/apple-splash-2688-1242.jpg',
+  '/icons/apple-splash-2732-2048.jpg',
+  '/icons/apple-splash-2778-1284.jpg',
+  '/icons/apple-splash-640-1136.jpg',
+  '/icons/apple-splash-750-1334.jpg',
+  '/icons/apple-splash-828-1792.jpg',
+  '/icons/favicon-196.png',
+  '/icons/manifest-icon-192.maskable.png',
+  '/icons/manifest-icon-512.maskable.png',
+  '/icons/mstile-icon-128.png',
+  '/icons/mstile-icon-270.png',
+  '/icons/mstile-icon-558-270.png',
+  '/icons/mstile-icon-558.png'
+];
 
 /**
  * On Install Event
@@ -6,8 +85,17 @@
 self.addEventListener('install', function (event) {
   console.log('[Service Worker] Install:', event);
 
-  // Skip waiting phase before activation
-  self.skipWaiting();
+  // Precache the assets of the app, bypassing the HTTP cache
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(function (cache) {
+        return cache.addAll(PRECACHE_URLS.map(function (url) {
+          return new Request(url, { cache: 'reload' });
+        }));
+      })
+  );
+
+  // The new version waits until the page accepts it (see the message event)
 });
 
 
@@ -18,8 +106,50 @@ self.addEventListener('install', function (event) {
 self.addEventListener('activate', function (event) {
   console.log('[Service Worker] Activate:', event);
 
-  // Claims control over all uncontrolled tabs/windows
-  event.waitUntil(clients.claim());
+  // Delete the caches of the previous versions
+  event.waitUntil(
+    caches.keys()
+      .then(function (cacheNames) {
+        return Promise.all(
+          cacheNames
+            .filter(function (cacheName) {
+              return cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME;
+            })
+            .map(function (cacheName) {
+              console.log('[Service Worker] Delete cache:', cacheName);
+              return caches.delete(cacheName);
+            })
+        );
+      })
+      .then(function () {
+
+        // Claims control over all uncontrolled tabs/windows
+        return clients.claim();
+      })
+  );
+});
+
+
+/**
+ * On Message Event
+ * Triggered when a page posts a message to the service worker
+ */
+self.addEventListener('message', function (event) {
+  const message = event.data || {};
+
+  switch (message.type) {
+
+    // Answers with the version, through the given MessageChannel port
+    case 'GET_VERSION':
+      event.ports[0].postMessage({ version: CACHE_VERSION });
+      break;
+
+    // The user accepted the update: skip waiting phase before activation
+    case 'SKIP_WAITING':
+      console.log('[Service Worker] Skip waiting');
+      self.skipWaiting();
+      break;
+  }
 });
 
 
@@ -28,9 +158,39 @@ self.addEventListener('activate', function (event) {
  * Triggered when the service worker retrieves an asset
  */
 self.addEventListener('fetch', function (event) {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Network only for anything but the assets of the app
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  // Network only for the probes, a cached answer would measure nothing
+  if (url.pathname.startsWith(PROBE_PATH)) {
+    return;
+  }
+
+  // Navigations: the cached page (the route lives in the hash),
+  // then the network, then the offline page
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(request, { ignoreSearch: true })
+        .then(function (response) {
+          return response || fetch(request);
+        })
+        .catch(function () {
+          return caches.match(OFFLINE_URL);
+        })
+    );
+    return;
+  }
 
-  // Network only
+  // Static assets: cache first, then the network
   event.respondWith(
-    fetch(event.request)
+    caches.match(request)
+      .then(function (response) {
+        return response || fetch(request);
+      })
   );
 });
\ No newline at end of file